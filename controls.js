@@ -0,0 +1,105 @@
+/**
+Generated control panels for System models.  Requires system.js, jQuery and jQuery UI
+@module System
+*/
+
+/**
+Find the range of a slider for a Parameter.  The min and max of the Parameter are used when
+they are set.  Otherwise a linear slider reaches from 0 to ten times the value, and a log
+slider spans two orders of magnitude on either side of the value.
+@method sliderRange
+@private
+@param {Parameter} parameter The Parameter
+@return {Object} An object with the fields min, max and step, in slider units.  Log sliders
+move along the base 10 logarithm of the Parameter
+*/
+function sliderRange(parameter) {
+	var range = {};
+	if (parameter.scale == 'log') {
+		range.min = Math.log(parameter.min != null ? parameter.min : parameter.value / 100) / Math.LN10;
+		range.max = Math.log(parameter.max != null ? parameter.max : parameter.value * 100) / Math.LN10;
+		range.step = (range.max - range.min) / 100;
+		return range;
+	}
+	range.min = (parameter.min != null) ? parameter.min : Math.min(0, 10 * parameter.value);
+	range.max = (parameter.max != null) ? parameter.max : (Math.max(0, 10 * parameter.value) || 1);
+	range.step = (parameter.step != null) ? parameter.step : (range.max - range.min) / 100;
+	return range;
+}
+
+/**
+Format a value for display next to a control
+@method formatValue
+@private
+@param {Number} value The value
+@param {String} unit The unit, or null
+@return {String} The value with 3 significant digits and its unit
+*/
+function formatValue(value, unit) {
+	return Number(value.toPrecision(3)) + (unit ? ' ' + unit : '');
+}
+
+/**
+Generate a control panel for this System inside an HTML element.  Each Parameter gets a jQuery UI
+slider, whose range, step and scale are taken from the Parameter's metadata (see addParameter).
+Each Species gets a spinner for its initial value.  Changes are applied immediately, so a
+real-time simulation picks up a new Parameter value at its next step.  When a real-time
+Simulation is given, a new initial value also resets the Species' current value in the simulation.
+@method controlPanel
+@param {String} div The id of the HTML element that will contain the controls.  Its contents
+are replaced
+@param {Simulation} [simulation] A Simulation returned by simulate_in_real_time
+@return {jQuery} The element that contains the controls
+*/
+System.controlPanel = function(div, simulation) {
+	var system = this;
+	var panel = $('#' + div).empty();
+
+	var parameters = $('<div class="parameter-controls"/>').appendTo(panel);
+	$.each(this.parameters, function(p, parameter) {
+		var control = $('<div class="control"/>').appendTo(parameters);
+		var label = $('<label/>').text(parameter.name || p).appendTo(control);
+		if (parameter.description) {
+			label.attr('title', parameter.description);
+		}
+		var readout = $('<span class="readout"/>').text(formatValue(parameter.value, parameter.unit))
+			.appendTo(control);
+		var range = sliderRange(parameter);
+		var log = (parameter.scale == 'log');
+		$('<div class="slider"/>').appendTo(control).slider({
+			min: range.min,
+			max: range.max,
+			step: range.step,
+			value: log ? Math.log(parameter.value) / Math.LN10 : parameter.value,
+			slide: function(event, ui) {
+				var value = log ? Math.pow(10, ui.value) : ui.value;
+				system.parameters[p].set(value);
+				readout.text(formatValue(value, parameter.unit));
+			}
+		});
+	});
+
+	var species = $('<div class="species-controls"/>').appendTo(panel);
+	$.each(this.species, function(sp, s) {
+		var control = $('<div class="control"/>').appendTo(species);
+		$('<label/>').text((s.name || sp) + (s.unit ? ' (' + s.unit + ')' : '')).appendTo(control);
+		var apply = function(value) {
+			if (isNaN(value) || value === null) {
+				return;
+			}
+			s.initial_value = value;
+			s.value = value;
+			if (simulation) {
+				var trajectory = simulation.trajectory[sp];
+				trajectory[trajectory.length-1] = value;
+			}
+		};
+		$('<input class="spinner"/>').appendTo(control).val(s.initial_value).spinner({
+			min: 0,
+			step: s.initial_value / 10 || 0.1,
+			spin: function(event, ui) { apply(ui.value); },
+			change: function(event, ui) { apply($(this).spinner('value')); }
+		});
+	});
+	return panel;
+};
@@ -0,0 +1,864 @@
+/**
+Parameter estimation for System models.  Requires system.js, math.js and numeric.js
+@module System
+*/
+
+/**
+List the Species that are measured in a data set, and check that they are Species of the System
+@method measuredSpecies
+@private
+@param {System} system The System
+@param {Object} data The measurements, eg {time: [0, 30, 60], G: [5.1, 8.3, 6.2]}.  The field
+time lists the sampling times; every other field is a Species, with one value per time.
+Missing values are null.
+@param {String} caller The name of the calling method, used in error messages
+@return {Array} The identifiers of the measured Species
+*/
+function measuredSpecies(system, data, caller) {
+	if (!data || !Array.isArray(data.time) || !data.time.length) {
+		throw new Error(caller + ': data must have a non-empty array of sampling times, data.time');
+	}
+	var species = Object.keys(data).filter(function(key) { return key != 'time'; });
+	if (!species.length) {
+		throw new Error(caller + ': data has no measured Species');
+	}
+	species.forEach(function(sp) {
+		if (!(sp in system.species)) {
+			throw new Error(caller + ': ' + sp + ' in data is not a Species in the System');
+		}
+		if (data[sp].length != data.time.length) {
+			throw new Error(caller + ': ' + sp + ' has ' + data[sp].length + ' values but there are ' +
+				data.time.length + ' sampling times');
+		}
+	});
+	return species;
+}
+
+/**
+A transformation that maps an unbounded variable to a Parameter value within its bounds, so
+that bounded Parameters can be estimated by unconstrained optimization.  Parameters on a log
+scale are transformed on the log scale.
+@method boundedTransform
+@private
+@param {Array} bounds The lower and upper bound, either of which may be null
+@param {Boolean} log Whether the Parameter is on a log scale
+@return {Object} An object with the functions toValue(x), toVariable(value), and
+derivative(x), the derivative of the value with respect to the variable
+*/
+function boundedTransform(bounds, log) {
+	var lower = (bounds[0] == null) ? -Infinity : bounds[0];
+	var upper = (bounds[1] == null) ? Infinity : bounds[1];
+	if (log) {
+		lower = Math.log(Math.max(lower, 0));
+		upper = Math.log(upper);
+	}
+	var forward = function(x) {
+		if (isFinite(lower) && isFinite(upper)) {
+			return lower + (upper - lower) / (1 + Math.exp(-x));
+		} else if (isFinite(lower)) {
+			return lower + Math.exp(x);
+		} else if (isFinite(upper)) {
+			return upper - Math.exp(x);
+		}
+		return x;
+	};
+	return {
+		toValue: function(x) {
+			return log ? Math.exp(forward(x)) : forward(x);
+		},
+		toVariable: function(value) {
+			var u = log ? Math.log(value) : value;
+			// Values on a bound are moved just inside it
+			var margin = 1e-6 * ((isFinite(lower) && isFinite(upper)) ? upper - lower : Math.max(Math.abs(u), 1));
+			u = Math.min(Math.max(u, lower + margin), upper - margin);
+			if (isFinite(lower) && isFinite(upper)) {
+				return -Math.log((upper - lower) / (u - lower) - 1);
+			} else if (isFinite(lower)) {
+				return Math.log(u - lower);
+			} else if (isFinite(upper)) {
+				return Math.log(upper - u);
+			}
+			return u;
+		},
+		derivative: function(x) {
+			var u = forward(x);
+			var du = 1;
+			if (isFinite(lower) && isFinite(upper)) {
+				du = (u - lower) * (upper - u) / (upper - lower);
+			} else if (isFinite(lower)) {
+				du = u - lower;
+			} else if (isFinite(upper)) {
+				du = u - upper;
+			}
+			return log ? du * Math.exp(u) : du;
+		}
+	};
+}
+
+/**
+Set the values of Parameters, both in the Parameter objects and in the System's parser
+@method setParameters
+@private
+@param {System} system The System
+@param {Array} p_ids The identifiers of the Parameters
+@param {Array} values The new values, ordered like p_ids
+*/
+function setParameters(system, p_ids, values) {
+	p_ids.forEach(function(p, i_p) {
+		system.parameters[p].set(values[i_p]);
+		system.parser.eval(p + '=' + values[i_p]);
+	});
+}
+
+/**
+Simulate the System from the initial values of its Species and return the values of the
+measured Species at the sampling times.  The values of Species and Parameters, which simulation
+may change, are restored afterwards.  The System must be compiled first.
+@method predict
+@private
+@param {Object} data The measurements, see measuredSpecies
+@param {Number} [t0] The time at which the Species have their initial values.  Defaults to the
+first sampling time
+@return {Object} Maps each measured Species to an array of simulated values, one per sampling time
+*/
+System.predict = function(data, t0) {
+	var species_ids = Object.keys(this.species);
+	var measured = measuredSpecies(this, data, 'predict');
+	var p_ids = Object.keys(this.parameters);
+	var saved = p_ids.map(function(p) { return this.parameters[p].value; }, this);
+	var order = data.time.map(function(t, i_t) { return i_t; });
+	order.sort(function(a, b) { return data.time[a] - data.time[b]; });
+	var t = (t0 === undefined) ? data.time[order[0]] : t0;
+	if (data.time[order[0]] < t) {
+		throw new Error('predict: the sampling time ' + data.time[order[0]] + ' is before t0 = ' + t);
+	}
+
+	// Integrate from one sampling time to the next, so that the predictions are exact
+	// values of the solution rather than interpolations
+	var y = species_ids.map(function(sp) { return this.species[sp].initial_value; }, this);
+	var history = { x: [t], y: [y] };
+	var states = [];
+	for (var i_o = 0; i_o < order.length; i_o++) {
+		var t_sample = data.time[order[i_o]];
+		if (t_sample > t) {
+			var solution = this.integrate(t, t_sample, y, this.delays.length ? history : undefined);
+			if (this.delays.length) {
+				history = { x: history.x.concat(solution.x.slice(1)), y: history.y.concat(solution.y.slice(1)),
+					segments: (history.segments || []).concat(solution.segments) };
+			}
+			y = solution.y[solution.y.length-1];
+			t = t_sample;
+		}
+		states[order[i_o]] = y.slice();
+	}
+	setParameters(this, p_ids, saved);
+
+	var predictions = {};
+	measured.forEach(function(sp) {
+		var i_sp = species_ids.indexOf(sp);
+		predictions[sp] = states.map(function(state) { return state[i_sp]; });
+	});
+	return predictions;
+};
+
+/**
+Minimize a weighted sum of squares by the Levenberg-Marquardt method, see fit.  When it is done,
+the Parameters are set to their fitted values.
+@method leastSquares
+@private
+@param {System} system The System
+@param {Object} data The measurements, see measuredSpecies
+@param {Object} options The options of fit
+@param {String} caller The name of the calling method, used in error messages
+@return {Object} An object with the fields parameters (the fitted Parameter identifiers),
+measured (the measured Species), transforms (see boundedTransform), jacobian (a function of the
+variables and the residuals), x (the fitted variables), values (the fitted Parameter values),
+r (the weighted residuals), ssr, n, iterations and converged (see fit)
+*/
+function leastSquares(system, data, options, caller) {
+	var p_ids = options.parameters || [];
+	p_ids.forEach(function(p) {
+		if (!(p in system.parameters)) {
+			throw new Error(caller + ': ' + p + ' is not a Parameter in the System');
+		}
+	});
+	var measured = measuredSpecies(system, data, caller);
+	var bounds = options.bounds || {};
+	var weights = options.weights || {};
+	var max_iterations = options.max_iterations || 100;
+	var tolerance = options.tolerance || 1e-8;
+
+	var transforms = p_ids.map(function(p) {
+		var parameter = system.parameters[p];
+		return boundedTransform(bounds[p] || [parameter.min, parameter.max], parameter.scale == 'log');
+	});
+	var toValues = function(x) {
+		return x.map(function(x_i, i_p) { return transforms[i_p].toValue(x_i); });
+	};
+
+	// The measurements that are not missing, and their weights
+	var observations = [];
+	measured.forEach(function(sp) {
+		for (var i_t = 0; i_t < data.time.length; i_t++) {
+			if (data[sp][i_t] == null) {
+				continue;
+			}
+			var weight = (weights[sp] == null) ? 1 : weights[sp];
+			if (Array.isArray(weight)) {
+				weight = weight[i_t];
+			}
+			observations.push({ species: sp, i_t: i_t, value: data[sp][i_t], sqrt_weight: Math.sqrt(weight) });
+		}
+	});
+	if (observations.length < p_ids.length) {
+		throw new Error(caller + ': ' + observations.length + ' measurements are not enough to fit ' +
+			p_ids.length + ' parameters');
+	}
+
+	// Weighted residuals of the simulation with the Parameters set to the given values
+	var residuals = function(values) {
+		setParameters(system, p_ids, values);
+		var predictions = system.predict(data, options.t0);
+		return observations.map(function(observation) {
+			return observation.sqrt_weight * (observation.value - predictions[observation.species][observation.i_t]);
+		});
+	};
+	var sumOfSquares = function(r) {
+		var ssr = numeric.dot(r, r);
+		return isNaN(ssr) ? Infinity : ssr;
+	};
+	var jacobian = function(x, r) {
+		var columns = x.map(function(x_i, i_p) {
+			// The step is large compared with the error of the integrator
+			var h = 1e-4 * Math.max(Math.abs(x_i), 1);
+			var x_h = x.slice();
+			x_h[i_p] += h;
+			return numeric.div(numeric.sub(residuals(toValues(x_h)), r), h);
+		});
+		// Undo the last perturbation
+		setParameters(system, p_ids, toValues(x));
+		return numeric.transpose(columns);
+	};
+
+	var x = p_ids.map(function(p, i_p) { return transforms[i_p].toVariable(system.parameters[p].value); });
+	var r = residuals(toValues(x));
+	var ssr = sumOfSquares(r);
+	var lambda = 1e-3;
+	var converged = false;
+	// With no Parameters to fit, only the sum of squares is computed
+	for (var iteration = 1; iteration <= max_iterations && !converged && p_ids.length; iteration++) {
+		var J = jacobian(x, r);
+		var JtJ = numeric.dot(numeric.transpose(J), J);
+		var Jtr = numeric.dot(numeric.transpose(J), r);
+		// Increase the damping until a step reduces the sum of squares
+		while (true) {
+			var damped = numeric.clone(JtJ);
+			for (var i_p = 0; i_p < x.length; i_p++) {
+				damped[i_p][i_p] += lambda * Math.max(JtJ[i_p][i_p], 1e-12);
+			}
+			var x_new = x;
+			try {
+				x_new = numeric.sub(x, numeric.solve(damped, Jtr));
+			} catch (error) {}
+			var r_new = residuals(toValues(x_new));
+			var ssr_new = sumOfSquares(r_new);
+			if (ssr_new < ssr) {
+				converged = (ssr - ssr_new) <= tolerance * ssr;
+				x = x_new;
+				r = r_new;
+				ssr = ssr_new;
+				lambda = Math.max(lambda / 10, 1e-12);
+				break;
+			}
+			lambda *= 10;
+			if (lambda > 1e12) {
+				// No step improves the fit, so this is a minimum
+				converged = true;
+				break;
+			}
+		}
+	}
+	var values = toValues(x);
+	setParameters(system, p_ids, values);
+	return { parameters: p_ids, measured: measured, transforms: transforms, jacobian: jacobian,
+		x: x, values: values, r: r, ssr: ssr, n: observations.length, iterations: iteration - 1,
+		converged: converged };
+}
+
+/**
+Estimate Parameters by weighted least squares.  The selected Parameters are adjusted by the
+Levenberg-Marquardt method to minimize the sum over all measurements of weight * (measured -
+simulated)^2.  Each simulation starts from the initial values of the Species.  The System must be
+compiled first.  When the fit is done, the Parameters are set to their fitted values.
+The approximate covariance of the fitted Parameters is s^2 (J'WJ)^-1, where J is the Jacobian of
+the simulated values with respect to the Parameters and s^2 is the weighted sum of squares divided
+by the degrees of freedom.  It assumes that the model is nearly linear in the Parameters close to
+the fit, and is unreliable if the Parameters are poorly identified.
+@method fit
+@param {Object} data The measurements, eg {time: [0, 30, 60], G: [5.1, 8.3, 6.2]}.  Missing
+values are null
+@param {Object} options An object with the fields:
+ - parameters: an array of the identifiers of the Parameters to fit
+ - bounds: optional, maps Parameter identifiers to [min, max] pairs, either of which may be null.
+ Defaults to the min and max of each Parameter (see addParameter).  Parameters with a log scale
+ are fitted on the log scale.
+ - weights: optional, maps Species identifiers to a weight, or to an array of weights with one
+ weight per sampling time.  The weights are normally 1 / variance of the measurements.
+ Defaults to 1.
+ - t0: optional, the time at which the Species have their initial values.  Defaults to the
+ first sampling time.
+ - max_iterations: optional, 100 by default
+ - tolerance: optional, the fit stops when an iteration reduces the sum of squares by less
+ than this fraction, 1e-8 by default
+@return {Object} The fit, an object with the fields parameters (maps Parameter identifiers
+to fitted values), predictions and residuals (map each measured Species to an array of simulated
+values and of measured minus simulated values, one per sampling time), ssr (the weighted sum of
+squared residuals), n (the number of measurements), covariance (a matrix ordered like
+options.parameters), standard_errors (maps Parameter identifiers to the square roots of the
+variances), iterations and converged
+*/
+System.fit = function(data, options) {
+	var system = this;
+	options = options || {};
+	if (!(options.parameters || []).length) {
+		throw new Error('fit: options.parameters must list the Parameters to fit');
+	}
+	var fitted = leastSquares(this, data, options, 'fit');
+	var p_ids = fitted.parameters;
+	var transforms = fitted.transforms;
+	var measured = fitted.measured;
+	var x = fitted.x;
+	var values = fitted.values;
+
+	// Covariance of the Parameters, by the chain rule from the covariance of the variables
+	var result = { parameters: {}, predictions: system.predict(data, options.t0), residuals: {},
+		ssr: fitted.ssr, n: fitted.n, covariance: null, standard_errors: {},
+		iterations: fitted.iterations, converged: fitted.converged };
+	var J = fitted.jacobian(x, fitted.r);
+	var dof = Math.max(fitted.n - p_ids.length, 1);
+	var D = numeric.diag(x.map(function(x_i, i_p) { return transforms[i_p].derivative(x_i); }));
+	var covariance_x = null;
+	try {
+		covariance_x = numeric.mul(numeric.inv(numeric.dot(numeric.transpose(J), J)), fitted.ssr / dof);
+	} catch (error) {}
+	if (covariance_x && numeric.all(numeric.isFinite(covariance_x))) {
+		result.covariance = numeric.dot(D, numeric.dot(covariance_x, D));
+	} else {
+		console.log('fit: the covariance could not be computed, the Parameters may not be identifiable');
+	}
+	p_ids.forEach(function(p, i_p) {
+		result.parameters[p] = values[i_p];
+		result.standard_errors[p] = result.covariance ? Math.sqrt(result.covariance[i_p][i_p]) : NaN;
+	});
+	measured.forEach(function(sp) {
+		result.residuals[sp] = data[sp].map(function(value, i_t) {
+			return (value == null) ? null : value - result.predictions[sp][i_t];
+		});
+	});
+	return result;
+};
+
+/**
+Choose the values at which a Parameter is profiled.  The grid is geometric, from the fitted value
+divided by span to the fitted value times span, and is clipped to the bounds.  If the fitted value
+is not positive, the grid is linear between the bounds.
+@method profileGrid
+@private
+@param {String} p The identifier of the Parameter
+@param {Number} value The fitted value
+@param {Array} bounds The lower and upper bound, either of which may be null
+@param {Number} points The number of values
+@param {Number} span The factor on either side of the fitted value
+@return {Array} The values, in increasing order, including the fitted value
+*/
+function profileGrid(p, value, bounds, points, span) {
+	var lower = (bounds[0] == null) ? -Infinity : bounds[0];
+	var upper = (bounds[1] == null) ? Infinity : bounds[1];
+	var grid = [];
+	var half = Math.floor(points / 2);
+	for (var i = -half; i <= half; i++) {
+		if (value > 0) {
+			grid.push(value * Math.pow(span, i / half));
+		} else if (isFinite(lower) && isFinite(upper)) {
+			grid.push(lower + (upper - lower) * (i + half) / (2 * half));
+		} else {
+			throw new Error('profileLikelihood: ' + p + ' is not positive and has no bounds, so options.grid must ' +
+				'list the values at which to profile it');
+		}
+	}
+	grid = grid.filter(function(v) { return v >= lower && v <= upper && v != value; });
+	grid.push(value);
+	return grid.sort(function(a, b) { return a - b; });
+}
+
+/**
+Compute profile likelihoods, which show how well the data determine each fitted Parameter.  The
+Parameters are first fitted (see fit).  Then each profiled Parameter is fixed at a grid of values
+around its fitted value, and the other Parameters are fitted again at each value.  The profile is
+the likelihood ratio statistic n log(ssr / ssr_min), which assumes normally distributed errors
+with variances proportional to 1 / weight.  The confidence interval of a Parameter is where its 
+profile stays below the threshold.  If the profile does not reach the threshold on one side, the
+data do not bound the Parameter on that side and it is not identifiable; if it does not reach the
+threshold on either side the profile is flat.  Parameters that are not identifiable are reported on
+the console.  The System must be compiled first.  When the profiles are done, the Parameters are
+set to their fitted values.
+@method profileLikelihood
+@param {Object} data The measurements, see fit
+@param {Object} options The options of fit, and the optional fields:
+ - profile: an array of the identifiers of the Parameters to profile.  Defaults to 
+ options.parameters.
+ - grid: maps Parameter identifiers to arrays of values at which to profile them, in addition
+ to the fitted value
+ - points: the number of grid values, 21 by default
+ - span: the grid reaches from the fitted value divided by span to the fitted value times span, 
+ within the bounds of the Parameter.  10 by default.
+ - threshold: the value of the profile at the ends of the confidence interval.  Defaults to 3.84,
+ which gives 95% intervals.
+@return {Object} An object with the fields fit (the result of fit), threshold, and profiles, which
+maps Parameter identifiers to objects with the fields values (the grid, in increasing order), ssr and profile (one per
+grid value), parameters (maps the other fitted Parameters to their values along the profile),
+interval (the lower and upper ends of the confidence interval, either of which is null if the
+profile does not reach the threshold on that side), identifiable and flat
+*/
+System.profileLikelihood = function(data, options) {
+	var system = this;
+	options = options || {};
+	var fit = this.fit(data, options);
+	var p_ids = options.parameters;
+	var profiled = options.profile || p_ids;
+	var grids = options.grid || {};
+	var bounds = options.bounds || {};
+	var threshold = (options.threshold == null) ? 3.84 : options.threshold;
+	var best = p_ids.map(function(p) { return fit.parameters[p]; });
+	var ssr_min = fit.ssr;
+
+	var result = { fit: fit, threshold: threshold, profiles: {} };
+	profiled.forEach(function(p) {
+		var i_fixed = p_ids.indexOf(p);
+		if (i_fixed < 0) {
+			throw new Error('profileLikelihood: ' + p + ' is not one of the fitted Parameters');
+		}
+		var parameter = system.parameters[p];
+		var grid = grids[p] ? grids[p].filter(function(v) { return v != best[i_fixed]; }).concat([best[i_fixed]])
+			.sort(function(a, b) { return a - b; }) : profileGrid(p, best[i_fixed], 
+			bounds[p] || [parameter.min, parameter.max], options.points || 21, options.span || 10);
+		var others = p_ids.filter(function(other) { return other != p; });
+		var profile = { values: grid, ssr: [], profile: [], parameters: {}, interval: [null, null],
+			identifiable: false, flat: false };
+		others.forEach(function(other) { profile.parameters[other] = []; });
+
+		// Walk outwards from the fitted value, starting each fit from the previous one
+		var i_best = grid.indexOf(best[i_fixed]);
+		[1, -1].forEach(function(direction) {
+			setParameters(system, p_ids, best);
+			for (var i_g = (direction > 0) ? i_best : i_best - 1; i_g >= 0 && i_g < grid.length; i_g += direction) {
+				setParameters(system, [p], [grid[i_g]]);
+				var fitted = leastSquares(system, data, { parameters: others, bounds: bounds, 
+					weights: options.weights, t0: options.t0, max_iterations: options.max_iterations,
+					tolerance: options.tolerance }, 'profileLikelihood');
+				profile.ssr[i_g] = fitted.ssr;
+				profile.profile[i_g] = fit.n * Math.log(fitted.ssr / ssr_min);
+				others.forEach(function(other, i_o) { profile.parameters[other][i_g] = fitted.values[i_o]; });
+			}
+		});
+
+		// The ends of the interval are interpolated between the grid values on either side of the threshold
+		[1, -1].forEach(function(direction) {
+			for (var i_g = i_best; i_g + direction >= 0 && i_g + direction < grid.length; i_g += direction) {
+				var a = profile.profile[i_g];
+				var b = profile.profile[i_g + direction];
+				if (b >= threshold) {
+					var end = grid[i_g] + (grid[i_g + direction] - grid[i_g]) * Math.max(threshold - a, 0) / (b - a);
+					profile.interval[(direction > 0) ? 1 : 0] = end;
+					break;
+				}
+			}
+		});
+		profile.identifiable = (profile.interval[0] != null && profile.interval[1] != null);
+		profile.flat = (profile.interval[0] == null && profile.interval[1] == null);
+		if (!profile.identifiable) {
+			console.log('profileLikelihood: ' + p + ' is not identifiable, its profile is ' + 
+				(profile.flat ? 'flat' : 'flat ' + (profile.interval[0] == null ? 'below' : 'above') + ' the fitted value'));
+		}
+		result.profiles[p] = profile;
+	});
+	setParameters(system, p_ids, best);
+	return result;
+};
+
+/**
+Compute the log-likelihood of measurements given the current Parameter values.  Each 
+measurement is independent.  With a Gaussian likelihood it is normally distributed around the
+simulated value with standard deviation sigma.  With a lognormal likelihood its logarithm is 
+normally distributed around the logarithm of the simulated value, so sigma is roughly the 
+relative error, and all measurements must be positive.  The System must be compiled first.
+@method logLikelihood
+@param {Object} data The measurements, see fit
+@param {Object} [options] An object with the optional fields likelihood ('gaussian', the 
+default, or 'lognormal'), sigma (maps Species identifiers to the standard deviation of their
+measurements, 1 by default) and t0 (see fit)
+@return {Number} The log-likelihood
+*/
+System.logLikelihood = function(data, options) {
+	options = options || {};
+	var sigma = options.sigma || {};
+	var lognormal = (options.likelihood == 'lognormal');
+	if (options.likelihood && !lognormal && options.likelihood != 'gaussian') {
+		throw new Error('logLikelihood: unknown likelihood ' + options.likelihood);
+	}
+	var predictions = this.predict(data, options.t0);
+	var log_likelihood = 0;
+	for (var sp in predictions) {
+		var s = (sigma[sp] == null) ? 1 : sigma[sp];
+		for (var i_t = 0; i_t < data.time.length; i_t++) {
+			var observed = data[sp][i_t];
+			var predicted = predictions[sp][i_t];
+			if (observed == null) {
+				continue;
+			}
+			if (lognormal) {
+				if (!(observed > 0)) {
+					throw new Error('logLikelihood: the lognormal likelihood needs positive measurements, but ' + 
+						sp + ' is ' + observed + ' at time ' + data.time[i_t]);
+				}
+				if (!(predicted > 0)) {
+					return -Infinity;
+				}
+				observed = Math.log(observed);
+				predicted = Math.log(predicted);
+				// The density of the measurement rather than of its logarithm
+				log_likelihood -= observed;
+			}
+			var z = (observed - predicted) / s;
+			log_likelihood -= 0.5 * z * z + Math.log(s * Math.sqrt(2 * Math.PI));
+		}
+	}
+	return isNaN(log_likelihood) ? -Infinity : log_likelihood;
+};
+
+/**
+Compute the log density of a prior distribution, up to a constant
+@method logPrior
+@private
+@param {Object} prior The prior, see mcmc
+@param {Number} value The Parameter value
+@return {Number} The log density
+*/
+function logPrior(prior, value) {
+	switch (prior.type) {
+		case 'uniform':
+			return (value >= prior.min && value <= prior.max) ? 0 : -Infinity;
+		case 'loguniform':
+			return (value >= prior.min && value <= prior.max) ? -Math.log(value) : -Infinity;
+		case 'normal':
+			var z = (value - prior.mean) / prior.sd;
+			return -0.5 * z * z;
+		case 'lognormal':
+			if (!(value > 0)) {
+				return -Infinity;
+			}
+			var z = (Math.log(value) - prior.mu) / prior.sigma;
+			return -0.5 * z * z - Math.log(value);
+	}
+	throw new Error('mcmc: unknown prior type ' + prior.type);
+}
+
+/**
+Compute the Cholesky factor of a symmetric positive definite matrix
+@method cholesky
+@private
+@param {Array} A The matrix
+@return {Array} The lower triangular matrix L with L L' = A, or null if A is not positive definite
+*/
+function cholesky(A) {
+	var n = A.length;
+	var L = numeric.rep([n, n], 0);
+	for (var i = 0; i < n; i++) {
+		for (var j = 0; j <= i; j++) {
+			var sum = A[i][j];
+			for (var k = 0; k < j; k++) {
+				sum -= L[i][k] * L[j][k];
+			}
+			if (i == j) {
+				if (!(sum > 0)) {
+					return null;
+				}
+				L[i][i] = Math.sqrt(sum);
+			} else {
+				L[i][j] = sum / L[j][j];
+			}
+		}
+	}
+	return L;
+}
+
+/**
+Estimate the effective sample size of a chain from its autocorrelations, which are summed
+until they are no longer positive
+@method effectiveSampleSize
+@private
+@param {Array} chain The sampled values
+@return {Number} The effective sample size
+*/
+function effectiveSampleSize(chain) {
+	var n = chain.length;
+	var mean = chain.reduce(function(a, b) { return a + b; }, 0) / n;
+	var deviations = chain.map(function(x) { return x - mean; });
+	var variance = numeric.dot(deviations, deviations) / n;
+	if (!(variance > 0)) {
+		return n;
+	}
+	var tau = 1;
+	for (var lag = 1; lag < n; lag++) {
+		var rho = numeric.dot(deviations.slice(0, n - lag), deviations.slice(lag)) / (n * variance);
+		if (rho <= 0) {
+			break;
+		}
+		tau += 2 * rho;
+	}
+	return n / tau;
+}
+
+/**
+Sample the posterior distribution of Parameters with the adaptive Metropolis algorithm (Haario,
+Saksman and Tamminen 2001).  Proposals are drawn from a multivariate normal distribution whose
+covariance is learned from the chain during burn-in, and then kept fixed.  Parameters with a log 
+scale (see addParameter) are sampled on the log scale.  Each step simulates the System like
+simulate, from the initial values of the Species, and the likelihood is computed by 
+logLikelihood.  The chain starts from the current Parameter values, which are restored afterwards.
+The System must be compiled first.
+@method mcmc
+@param {Object} data The measurements, see fit
+@param {Object} options An object with the fields:
+ - parameters: an array of the identifiers of the Parameters to sample
+ - priors: optional, maps Parameter identifiers to prior distributions, one of 
+ {type: 'uniform', min: 0, max: 1}, {type: 'loguniform', min: 0.01, max: 100}, 
+ {type: 'normal', mean: 1, sd: 0.1} or {type: 'lognormal', mu: 0, sigma: 1} (mu and sigma
+ are the mean and standard deviation of the logarithm).  Defaults to a uniform distribution
+ between the min and max of the Parameter, which is improper if the Parameter has no bounds.
+ - likelihood, sigma and t0: optional, see logLikelihood
+ - samples: optional, the number of samples to return, 5000 by default
+ - burn_in: optional, the number of steps to discard first, 1000 by default
+ - thin: optional, keep every thin-th step, 1 by default
+ - credible: optional, the probability of the credible intervals, 0.95 by default
+ - seed: optional, see seededRandom
+@return {Object} The posterior, an object with the fields parameters (the sampled Parameter
+identifiers), samples (an array of Parameter value arrays, ordered like parameters),
+log_posterior (the unnormalized log posterior of each sample), acceptance_rate (the fraction of
+proposals accepted after burn-in), burn_in_acceptance_rate, effective_sample_size (maps
+Parameter identifiers to estimates of the number of independent samples) and summary (maps 
+Parameter identifiers to objects with the fields mean, sd, median and interval, the central
+credible interval)
+*/
+System.mcmc = function(data, options) {
+	var system = this;
+	options = options || {};
+	var p_ids = options.parameters || [];
+	if (!p_ids.length) {
+		throw new Error('mcmc: options.parameters must list the Parameters to sample');
+	}
+	p_ids.forEach(function(p) {
+		if (!(p in system.parameters)) {
+			throw new Error('mcmc: ' + p + ' is not a Parameter in the System');
+		}
+	});
+	measuredSpecies(this, data, 'mcmc');
+	var random = seededRandom(options.seed);
+	var n_samples = options.samples || 5000;
+	var burn_in = (options.burn_in == null) ? 1000 : options.burn_in;
+	var thin = options.thin || 1;
+	var credible = options.credible || 0.95;
+	var priors = p_ids.map(function(p) {
+		var parameter = system.parameters[p];
+		var prior = (options.priors || {})[p] || { type: 'uniform', 
+			min: (parameter.min == null) ? -Infinity : parameter.min, 
+			max: (parameter.max == null) ? Infinity : parameter.max };
+		logPrior(prior, parameter.value);
+		return prior;
+	});
+	var log = p_ids.map(function(p) { return system.parameters[p].scale == 'log'; });
+	var saved = p_ids.map(function(p) { return system.parameters[p].value; });
+
+	// The chain moves in x, which is the logarithm of Parameters with a log scale.  The 
+	// posterior density of x includes the Jacobian of the logarithm
+	var toValues = function(x) {
+		return x.map(function(x_i, i_p) { return log[i_p] ? Math.exp(x_i) : x_i; });
+	};
+	var logPosterior = function(x) {
+		var values = toValues(x);
+		var density = 0;
+		for (var i_p = 0; i_p < values.length; i_p++) {
+			density += logPrior(priors[i_p], values[i_p]) + (log[i_p] ? x[i_p] : 0);
+		}
+		if (density == -Infinity) {
+			return density;
+		}
+		setParameters(system, p_ids, values);
+		return density + system.logLikelihood(data, options);
+	};
+	var normal = function() {
+		return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+	};
+
+	var d = p_ids.length;
+	var x = saved.map(function(value, i_p) { return log[i_p] ? Math.log(value) : value; });
+	var log_density = logPosterior(x);
+	if (log_density == -Infinity) {
+		throw new Error('mcmc: the posterior density of the initial Parameter values is zero');
+	}
+	// Until the covariance can be learned, proposals change each variable by about 10%
+	var scale = 2.4 * 2.4 / d;
+	var initial_covariance = numeric.diag(x.map(function(x_i, i_p) { 
+		var sd = log[i_p] ? 0.1 : 0.1 * Math.max(Math.abs(x_i), 1e-3);
+		return sd * sd; 
+	}));
+	var L = cholesky(initial_covariance);
+	var mean = x.slice();
+	var covariance = numeric.rep([d, d], 0);
+	var adapt_start = Math.min(Math.max(2 * d, 100), Math.floor(burn_in / 2));
+
+	var result = { parameters: p_ids.slice(), samples: [], log_posterior: [], acceptance_rate: 0, 
+		burn_in_acceptance_rate: 0, effective_sample_size: {}, summary: {} };
+	var accepted = 0;
+	var steps = burn_in + n_samples * thin;
+	for (var step = 1; step <= steps; step++) {
+		var proposal = numeric.add(x, numeric.dot(L, x.map(normal)));
+		var proposal_density = logPosterior(proposal);
+		if (Math.log(random()) < proposal_density - log_density) {
+			x = proposal;
+			log_density = proposal_density;
+			accepted++;
+		}
+		if (step <= burn_in) {
+			// Update the running mean and covariance of the chain, and learn the proposal from them
+			var delta = numeric.sub(x, mean);
+			mean = numeric.add(mean, numeric.div(delta, step + 1));
+			covariance = numeric.add(numeric.mul(covariance, (step - 1) / step), 
+				numeric.mul(numeric.tensor(delta, delta), 1 / (step + 1)));
+			if (step >= adapt_start) {
+				var regularized = numeric.add(numeric.mul(covariance, scale), numeric.mul(numeric.identity(d), 1e-10));
+				L = cholesky(regularized) || L;
+			}
+			if (step == burn_in) {
+				result.burn_in_acceptance_rate = accepted / burn_in;
+				accepted = 0;
+			}
+		} else if ((step - burn_in) % thin == 0) {
+			result.samples.push(toValues(x));
+			result.log_posterior.push(log_density);
+		}
+	}
+	result.acceptance_rate = accepted / (steps - burn_in);
+	setParameters(system, p_ids, saved);
+
+	var tail = (1 - credible) / 2;
+	p_ids.forEach(function(p, i_p) {
+		var chain = result.samples.map(function(sample) { return sample[i_p]; });
+		var sorted = chain.slice().sort(function(a, b) { return a - b; });
+		var quantile = function(q) { return sorted[Math.min(Math.floor(q * sorted.length), sorted.length - 1)]; };
+		var chain_mean = chain.reduce(function(a, b) { return a + b; }, 0) / chain.length;
+		var deviations = chain.map(function(value) { return value - chain_mean; });
+		result.summary[p] = {
+			mean: chain_mean,
+			sd: Math.sqrt(numeric.dot(deviations, deviations) / Math.max(chain.length - 1, 1)),
+			median: quantile(0.5),
+			interval: [quantile(tail), quantile(1 - tail)]
+		};
+		result.effective_sample_size[p] = effectiveSampleSize(chain);
+	});
+	return result;
+};
+
+/**
+Compare candidate models of the same measurements.  Each model is fitted (see fit) and scored by
+its maximized log-likelihood, the Akaike and Bayesian information criteria, AIC = 2k - 2 log L and
+BIC = k log n - 2 log L, where k is the number of estimated parameters and n the number of 
+measurements, and its Akaike weight, the relative likelihood exp(-(AIC - AIC_min) / 2) normalized
+over the candidates.  When the standard deviations of the measurements are given, models are
+fitted with weights 1 / sigma^2 and the log-likelihood is computed by logLikelihood.  Otherwise 
+the variance of the errors is estimated too, so it counts as a parameter, and the log-likelihood
+is -n/2 (log(2 pi ssr / n) + 1), which leaves out a term that depends only on the weights.  The
+models must be compiled first, and are left with their fitted Parameter values.  Call it on
+System, eg System.compareModels(candidates, data).
+@method compareModels
+@static
+@param {Array} candidates An array of candidate models, objects with the fields name, system (a
+System) and options (the options of fit, which must list the Parameters to fit)
+@param {Object} data The measurements, see fit
+@param {Object} [sigma] Maps Species identifiers to the standard deviation of their measurements
+@return {Array} The comparison table, with one row per model in increasing order of AIC.  Each
+row is an object with the fields name, log_likelihood, k, n, ssr, aic, bic, delta_aic, 
+akaike_weight and fit (the result of fit)
+*/
+System.compareModels = function(candidates, data, sigma) {
+	if (!candidates || !candidates.length) {
+		throw new Error('compareModels: there are no candidate models');
+	}
+	var rows = candidates.map(function(candidate) {
+		var options = {};
+		for (var option in candidate.options) {
+			options[option] = candidate.options[option];
+		}
+		if (sigma) {
+			options.weights = {};
+			for (var sp in sigma) {
+				options.weights[sp] = 1 / (sigma[sp] * sigma[sp]);
+			}
+		}
+		var fit = candidate.system.fit(data, options);
+		var k = options.parameters.length;
+		var log_likelihood;
+		if (sigma) {
+			// fit leaves the System with the fitted Parameter values
+			log_likelihood = candidate.system.logLikelihood(data, { sigma: sigma, t0: options.t0 });
+		} else {
+			k++;
+			log_likelihood = -fit.n / 2 * (Math.log(2 * Math.PI * fit.ssr / fit.n) + 1);
+		}
+		return { name: candidate.name, log_likelihood: log_likelihood, k: k, n: fit.n, ssr: fit.ssr,
+			aic: 2 * k - 2 * log_likelihood, bic: k * Math.log(fit.n) - 2 * log_likelihood, 
+			delta_aic: 0, akaike_weight: 0, fit: fit };
+	});
+	rows.forEach(function(row) {
+		if (row.n != rows[0].n) {
+			throw new Error('compareModels: ' + row.name + ' is fitted to ' + row.n + ' measurements but ' +
+				rows[0].name + ' is fitted to ' + rows[0].n + ', so they cannot be compared');
+		}
+	});
+	rows.sort(function(a, b) { return a.aic - b.aic; });
+	var total = 0;
+	rows.forEach(function(row) {
+		row.delta_aic = row.aic - rows[0].aic;
+		total += Math.exp(-row.delta_aic / 2);
+	});
+	rows.forEach(function(row) {
+		row.akaike_weight = Math.exp(-row.delta_aic / 2) / total;
+	});
+	return rows;
+};
+
+/**
+Format a comparison of models as a plain text table
+@method formatComparison
+@static
+@param {Array} rows The comparison table returned by compareModels
+@return {String} The table, with a header line and one line per model
+*/
+System.formatComparison = function(rows) {
+	var columns = ['name', 'log_likelihood', 'k', 'n', 'aic', 'bic', 'delta_aic', 'akaike_weight'];
+	var cells = [columns].concat(rows.map(function(row) {
+		return columns.map(function(column) {
+			var value = row[column];
+			return (typeof value == 'number' && column != 'k' && column != 'n') ? value.toFixed(column == 'akaike_weight' ? 3 : 2) : String(value);
+		});
+	}));
+	var widths = columns.map(function(column, i_c) {
+		return Math.max.apply(null, cells.map(function(line) { return line[i_c].length; }));
+	});
+	return cells.map(function(line) {
+		return line.map(function(cell, i_c) {
+			return (i_c == 0) ? cell + Array(widths[i_c] - cell.length + 1).join(' ') 
+				: Array(widths[i_c] - cell.length + 1).join(' ') + cell;
+		}).join('  ');
+	}).join('\n');
+};
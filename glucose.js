@@ -0,0 +1,46 @@
+// Glucose regulation by the glucagon (A) and insulin (B) feedback loops, with glucose (G)
+// absorbed from meals.  Requires system.js
+var S = System.create();
+
+S.addSpecies('A',1,null);
+S.addSpecies('B',1,null);
+S.addSpecies('G',1,null);
+S.addParameter('K', 2.3);
+S.addParameter('delta', .1, 'hormonal delay');
+S.addParameter('input', .01, 'glucose input from tissues');
+S.addParameter('eta', .1, 'glucose output, ie, excretion');
+S.addParameter('alpha', 1, 'glucagon sensitivity');
+S.addParameter('beta', 1, 'insulin sensitivity');
+//S.add_function('h', 'K - A - B')
+S.defineInteraction('first order decay', ['a']);
+S.interactions['first order decay'].rules['a'].set('-alpha * a');
+S.addInteraction('first order decay', ['A'], ['delta']);
+S.addInteraction('first order decay', ['B'], ['delta']);
+S.addInteraction('first order decay', ['G'], ['eta']);
+
+S.defineInteraction('third-order agonist', ['a', 'g'], null, ['b']);
+S.interactions['third-order agonist'].rules['a'].set('a/g*(k-a-b)');
+S.interactions['third-order agonist'].rules['g'].set('alpha*a');
+S.addInteraction('third-order agonist', ['A', 'G'], ['K', 'alpha'], ['B']);
+
+S.defineInteraction('third-order antagonist', ['b', 'g'], null, ['a']);
+S.interactions['third-order antagonist'].rules['b'].set('a*g*(k-a-b)');
+S.interactions['third-order antagonist'].rules['g'].set('-beta*b');
+S.addInteraction('third-order antagonist', ['B', 'G'], ['K', 'beta'], ['A']);
+
+var foods = ['cake', 'grapes', 'pizza_slice', 'rice', 'steak'];
+boluses = [.1, .01, .15, .03, .3];
+var GI_values = [1, 0.8, 0.5, 1, .1];
+var GI_params = Array.apply(null, Array(GI_values.length)).map(function (_, i) { return 'GI' + i; });
+
+S.defineInteraction('bolus absorption', ['g', 'i']);
+S.interactions['bolus absorption'].rules['g'].set('gi*i');
+S.interactions['bolus absorption'].rules['i'].set('-gi*i');
+for (i_bolus in boluses) {
+	S.addSpecies(foods[i_bolus], 0, null);
+	S.addParameter(GI_params[i_bolus], GI_values[i_bolus]);
+	S.addInteraction('bolus absorption', ['G', foods[i_bolus]], [GI_params[i_bolus]]);
+}
+S.defineInteraction('basal glucose production', ['g']);
+S.interactions['basal glucose production'].rules['g'].set('g_in');
+S.addInteraction('basal glucose production', ['G'], ['input']);
@@ -0,0 +1,577 @@
+/**
+SBML Level 3 import and export for System models.  Requires system.js and math.js
+@module System
+*/
+
+// Operators and functions that can be translated between MathML and mathjs expressions.
+// Keys are MathML element names, values are the corresponding mathjs function names
+var MATHML_FUNCTIONS = {
+	exp: 'exp',
+	ln: 'log',
+	abs: 'abs',
+	floor: 'floor',
+	ceiling: 'ceil',
+	factorial: 'factorial',
+	sin: 'sin',
+	cos: 'cos',
+	tan: 'tan',
+	arcsin: 'asin',
+	arccos: 'acos',
+	arctan: 'atan'
+};
+
+var MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+var SBML_DELAY = 'http://www.sbml.org/sbml/symbols/delay';
+var SBML_NAMESPACE = 'http://www.sbml.org/sbml/level3/version1/core';
+
+// Returns the child elements of an XML node, optionally filtered by tag name
+function childElements(node, tag_name) {
+	var elements = [];
+	for (var i_c = 0; i_c < node.childNodes.length; i_c++) {
+		var child = node.childNodes[i_c];
+		if (child.nodeType == 1 && (!tag_name || localName(child) == tag_name)) {
+			elements.push(child);
+		}
+	}
+	return elements;
+}
+
+// Returns the items of an SBML listOf element, eg listOf(model, 'listOfSpecies', 'species')
+function listOf(node, list_name, item_name) {
+	var lists = childElements(node, list_name);
+	if (lists.length == 0) {
+		return [];
+	}
+	return childElements(lists[0], item_name);
+}
+
+// Tag name of an XML element without its namespace prefix
+function localName(element) {
+	return element.localName || element.nodeName.split(':').pop();
+}
+
+// Escapes a string so that it can be written into an XML attribute or text node
+function escapeXML(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+Translates a MathML element into a mathjs expression string.
+@method mathMLToString
+@private
+@param {Element} element A MathML element
+@param {Object} symbols Maps identifiers found in <ci> elements to replacement expression strings.
+Used to rename local parameters and to substitute the arguments of function definitions
+@param {Object} functions SBML function definitions, as returned by parseFunctionDefinition, keyed by id
+@return {String} The expression
+*/
+function mathMLToString(element, symbols, functions) {
+	var tag = localName(element);
+	var text = element.textContent.trim();
+	switch (tag) {
+		case 'math':
+		case 'semantics':
+			return mathMLToString(childElements(element)[0], symbols, functions);
+		case 'ci':
+			return (text in symbols) ? symbols[text] : text;
+		case 'cn':
+			var type = element.getAttribute('type');
+			if (type == 'e-notation' || type == 'rational') {
+				// The two parts of the number are separated by a <sep/> element
+				var parts = [];
+				for (var i_c = 0; i_c < element.childNodes.length; i_c++) {
+					if (element.childNodes[i_c].nodeType == 3 && element.childNodes[i_c].nodeValue.trim()) {
+						parts.push(element.childNodes[i_c].nodeValue.trim());
+					}
+				}
+				return (type == 'e-notation') ? '(' + parts[0] + 'e' + parts[1] + ')' :
+					'(' + parts[0] + ' / ' + parts[1] + ')';
+			}
+			return '(' + text + ')';
+		case 'pi':
+			return '(' + Math.PI + ')';
+		case 'exponentiale':
+			return 'exp(1)';
+		case 'true':
+			return 'true';
+		case 'false':
+			return 'false';
+		case 'apply':
+			var children = childElements(element);
+			var operator = localName(children[0]);
+			var args = [];
+			var qualifiers = {};
+			for (var i_a = 1; i_a < children.length; i_a++) {
+				var arg_tag = localName(children[i_a]);
+				if (arg_tag == 'degree' || arg_tag == 'logbase') {
+					qualifiers[arg_tag] = mathMLToString(childElements(children[i_a])[0], symbols, functions);
+				} else {
+					args.push('(' + mathMLToString(children[i_a], symbols, functions) + ')');
+				}
+			}
+			switch (operator) {
+				case 'plus':
+					return args.length ? args.join(' + ') : '0';
+				case 'minus':
+					return (args.length == 1) ? '-' + args[0] : args[0] + ' - ' + args[1];
+				case 'times':
+					return args.length ? args.join(' * ') : '1';
+				case 'divide':
+					return args[0] + ' / ' + args[1];
+				case 'power':
+					return args[0] + ' ^ ' + args[1];
+				case 'root':
+					return qualifiers.degree ? 'nthRoot(' + args[0] + ', ' + qualifiers.degree + ')' :
+						'sqrt(' + args[0] + ')';
+				case 'log':
+					return 'log(' + args[0] + ', ' + (qualifiers.logbase || '10') + ')';
+				case 'csymbol':
+					if (children[0].getAttribute('definitionURL') == SBML_DELAY) {
+						return 'delay(' + args.join(', ') + ')';
+					}
+					break;
+				case 'ci':
+					// Call to an SBML function definition
+					var f_id = children[0].textContent.trim();
+					if (!(f_id in functions)) {
+						throw new Error('fromSBML: unknown function ' + f_id);
+					}
+					return '(' + functions[f_id].call(args) + ')';
+				default:
+					if (operator in MATHML_FUNCTIONS) {
+						return MATHML_FUNCTIONS[operator] + '(' + args.join(', ') + ')';
+					}
+			}
+			throw new Error('fromSBML: unsupported MathML operator <' + operator + '>');
+	}
+	throw new Error('fromSBML: unsupported MathML element <' + tag + '>');
+}
+
+/**
+Parses an SBML functionDefinition.  The returned object has a call method that substitutes
+argument expressions into the body of the function.
+@method parseFunctionDefinition
+@private
+@param {Element} element The functionDefinition element
+@param {Object} functions Previously parsed function definitions, keyed by id
+@return {Object} The function definition
+*/
+function parseFunctionDefinition(element, functions) {
+	var lambda = element.getElementsByTagName('lambda')[0] ||
+		element.getElementsByTagNameNS(MATHML_NAMESPACE, 'lambda')[0];
+	var bvars = childElements(lambda, 'bvar').map(function(bvar) {
+		return childElements(bvar, 'ci')[0].textContent.trim();
+	});
+	var body = childElements(lambda).filter(function(child) { return localName(child) != 'bvar'; })[0];
+	return {
+		call: function(args) {
+			var symbols = {};
+			for (var i_b = 0; i_b < bvars.length; i_b++) {
+				symbols[bvars[i_b]] = args[i_b];
+			}
+			return mathMLToString(body, symbols, functions);
+		}
+	};
+}
+
+/**
+Translates a mathjs expression syntax tree into MathML.
+@method nodeToMathML
+@private
+@param {Node} node The root of a mathjs syntax tree
+@param {System} system The System that owns the symbols referenced in the expression
+@return {String} A MathML fragment
+*/
+function nodeToMathML(node, system) {
+	var args;
+	var toMathML = function(arg) { return nodeToMathML(arg, system); };
+	switch (node.type) {
+		case 'ConstantNode':
+			var mantissa = node.value.toLowerCase().split('e');
+			if (mantissa.length == 2) {
+				return '<cn type="e-notation"> ' + mantissa[0] + ' <sep/> ' + mantissa[1] + ' </cn>';
+			}
+			return '<cn> ' + node.value + ' </cn>';
+		case 'SymbolNode':
+			if (!(node.name in system.species) && !(node.name in system.parameters)) {
+				if (node.name == 'pi') {
+					return '<pi/>';
+				}
+				if (node.name == 'e') {
+					return '<exponentiale/>';
+				}
+			}
+			return '<ci> ' + node.name + ' </ci>';
+		case 'OperatorNode':
+			args = node.args.map(toMathML);
+			var operators = {
+				add: 'plus',
+				subtract: 'minus',
+				unaryMinus: 'minus',
+				multiply: 'times',
+				divide: 'divide',
+				pow: 'power'
+			};
+			if (node.fn == 'unaryPlus') {
+				return args[0];
+			}
+			if (node.fn in operators) {
+				return '<apply><' + operators[node.fn] + '/>' + args.join('') + '</apply>';
+			}
+			break;
+		case 'FunctionNode':
+			args = node.args.map(toMathML);
+			if (node.name == 'log') {
+				if (args.length == 1) {
+					return '<apply><ln/>' + args[0] + '</apply>';
+				}
+				return '<apply><log/><logbase>' + args[1] + '</logbase>' + args[0] + '</apply>';
+			}
+			if (node.name == 'log10') {
+				return '<apply><log/>' + args[0] + '</apply>';
+			}
+			if (node.name == 'sqrt') {
+				return '<apply><root/>' + args[0] + '</apply>';
+			}
+			if (node.name == 'delay') {
+				return '<apply><csymbol encoding="text" definitionURL="' + SBML_DELAY + '"> delay </csymbol>' + 
+					args.join('') + '</apply>';
+			}
+			if (node.name == 'nthRoot') {
+				return '<apply><root/><degree>' + args[1] + '</degree>' + args[0] + '</apply>';
+			}
+			for (var tag in MATHML_FUNCTIONS) {
+				if (MATHML_FUNCTIONS[tag] == node.name) {
+					return '<apply><' + tag + '/>' + args.join('') + '</apply>';
+				}
+			}
+			break;
+	}
+	throw new Error('toSBML: cannot translate ' + node.toString() + ' to MathML');
+}
+
+/**
+Import an SBML model into this System.  SBML species, parameters and compartments are added to
+the System with addSpecies, addParameter and addCompartment.  Species with hasOnlySubstanceUnits
+are measured in amounts and are not placed in their compartment.  Each SBML reaction is added
+with defineReaction and addInteraction, so its reactants, products and stoichiometry are kept,
+and the other Species read by the kinetic law are modifiers.  Boundary and constant Species are
+not changed by reactions, so they are modifiers too.  A reaction with non-integer stoichiometry
+is instead defined with one Rule per Species.  Local parameters of a kinetic law are added as
+System parameters named "reaction_parameter".  Function definitions are expanded inline.  Rules,
+events, and initial assignments are not imported.
+@method fromSBML
+@param {String|Document} sbml The SBML document, as an XML string or a parsed XML Document
+@return {System} This System
+*/
+System.fromSBML = function(sbml) {
+	if (typeof sbml === 'string') {
+		sbml = new DOMParser().parseFromString(sbml, 'application/xml');
+	}
+	if (sbml.getElementsByTagName('parsererror').length) {
+		throw new Error('fromSBML: invalid XML');
+	}
+	var model = sbml.getElementsByTagName('model')[0];
+	if (!model) {
+		throw new Error('fromSBML: no model found in SBML document');
+	}
+	['listOfRules', 'listOfEvents', 'listOfInitialAssignments'].forEach(function(list_name) {
+		if (childElements(model, list_name).length) {
+			console.log('fromSBML: ' + list_name + ' is not supported and was ignored');
+		}
+	});
+
+	var functions = {};
+	listOf(model, 'listOfFunctionDefinitions', 'functionDefinition').forEach(function(element) {
+		functions[element.getAttribute('id')] = parseFunctionDefinition(element, functions);
+	});
+
+	// Compartment sizes are referenced in kinetic laws, so each Compartment's volume is a 
+	// Parameter with the same identifier
+	listOf(model, 'listOfCompartments', 'compartment').forEach(function(element) {
+		var size = element.hasAttribute('size') ? Number(element.getAttribute('size')) : 1;
+		this.addCompartment(element.getAttribute('id'), size, element.getAttribute('name'));
+	}, this);
+
+	var sbml_species = {};
+	listOf(model, 'listOfSpecies', 'species').forEach(function(element) {
+		var id = element.getAttribute('id');
+		sbml_species[id] = {
+			compartment: element.getAttribute('compartment'),
+			amount: element.getAttribute('hasOnlySubstanceUnits') == 'true',
+			fixed: element.getAttribute('boundaryCondition') == 'true' ||
+				element.getAttribute('constant') == 'true'
+		};
+		// Species measured in amounts are left out of their compartment, so that they are
+		// changed by the kinetic laws directly
+		var compartment = sbml_species[id].amount ? null : sbml_species[id].compartment;
+		var initial_value = 0;
+		if (element.hasAttribute('initialConcentration')) {
+			initial_value = Number(element.getAttribute('initialConcentration'));
+			if (!compartment) {
+				initial_value *= this.parameters[sbml_species[id].compartment].value;
+			}
+		} else if (element.hasAttribute('initialAmount')) {
+			initial_value = Number(element.getAttribute('initialAmount'));
+			if (compartment) {
+				initial_value /= this.parameters[compartment].value;
+			}
+		}
+		this.addSpecies(id, initial_value, element.getAttribute('name'), compartment);
+	}, this);
+
+	listOf(model, 'listOfParameters', 'parameter').forEach(function(element) {
+		var value = element.hasAttribute('value') ? Number(element.getAttribute('value')) : 0;
+		this.addParameter(element.getAttribute('id'), value, element.getAttribute('name'));
+	}, this);
+
+	listOf(model, 'listOfReactions', 'reaction').forEach(function(element) {
+		var r_id = element.getAttribute('id');
+		var kinetic_law = childElements(element, 'kineticLaw')[0];
+		if (!kinetic_law) {
+			console.log('fromSBML: reaction ' + r_id + ' has no kinetic law and was ignored');
+			return;
+		}
+
+		// Local parameters are promoted to System parameters with names prefixed by the reaction id
+		var symbols = {};
+		var local_parameters = listOf(kinetic_law, 'listOfLocalParameters', 'localParameter')
+			.concat(listOf(kinetic_law, 'listOfParameters', 'parameter'));
+		local_parameters.forEach(function(p_element) {
+			var p_id = p_element.getAttribute('id');
+			symbols[p_id] = r_id + '_' + p_id;
+			this.addParameter(symbols[p_id], Number(p_element.getAttribute('value')),
+				p_element.getAttribute('name'));
+		}, this);
+
+		var math_element = childElements(kinetic_law, 'math')[0];
+		var rate = mathMLToString(math_element, symbols, functions);
+
+		// Net stoichiometry of each participant
+		var stoichiometry = {};
+		var addParticipants = function(list_name, sign) {
+			listOf(element, list_name, 'speciesReference').forEach(function(reference) {
+				var s_id = reference.getAttribute('species');
+				var n = reference.hasAttribute('stoichiometry') ?
+					Number(reference.getAttribute('stoichiometry')) : 1;
+				stoichiometry[s_id] = (stoichiometry[s_id] || 0) + sign * n;
+			});
+		};
+		addParticipants('listOfReactants', -1);
+		addParticipants('listOfProducts', 1);
+
+		// Species that are changed by the reaction are its reactants and products.  Species
+		// that are only read by the kinetic law are modifiers
+		var reactants = [];
+		var products = [];
+		for (var s_id in stoichiometry) {
+			if (stoichiometry[s_id] < 0 && !sbml_species[s_id].fixed) {
+				reactants.push(s_id);
+			} else if (stoichiometry[s_id] > 0 && !sbml_species[s_id].fixed) {
+				products.push(s_id);
+			}
+		}
+		var variables = reactants.concat(products);
+		var modifiers = [];
+		math.parse(rate).filter(function(node) { return node.type == 'SymbolNode'; })
+			.forEach(function(node) {
+				if (node.name in this.species) {
+					if (variables.indexOf(node.name) == -1 && modifiers.indexOf(node.name) == -1) {
+						modifiers.push(node.name);
+					}
+				} else if (!(node.name in this.parameters)) {
+					throw new Error('fromSBML: unknown symbol ' + node.name + ' in reaction ' + r_id);
+				}
+			}, this);
+
+		// Kinetic laws give a rate in amount per time, which compile converts to a change in
+		// concentration for Species in a Compartment
+		var integral = variables.every(function(s_id) { return stoichiometry[s_id] % 1 == 0; });
+		if (integral) {
+			var side = function(ids) {
+				return ids.map(function(s_id) {
+					var n = Math.abs(stoichiometry[s_id]);
+					return (n == 1) ? s_id : n + ' ' + s_id;
+				}).join(' + ');
+			};
+			this.defineReaction(r_id, side(reactants) + ' -> ' + side(products), rate, null, modifiers);
+		} else {
+			// defineReaction takes integer coefficients, so other reactions are written as one
+			// Rule per Species
+			console.log('fromSBML: reaction ' + r_id + ' has non-integer stoichiometry and was imported ' +
+				'as one Rule per Species');
+			this.defineInteraction(r_id, variables, null, modifiers);
+			for (var i_v = 0; i_v < variables.length; i_v++) {
+				var s_id = variables[i_v];
+				this.interactions[r_id].rules[s_id].set(stoichiometry[s_id] + ' * (' + rate + ')', 
+					element.getAttribute('name'));
+			}
+		}
+		this.addInteraction(r_id, variables, this.interactions[r_id].parameters(), modifiers);
+	}, this);
+	return this;
+};
+
+/**
+Export this System as an SBML Level 3 document.  Species in a Compartment are measured in
+concentrations; every other Species is placed in a default compartment of unit size and 
+measured in amounts.  Interactions defined with defineReaction are written as a single reaction
+with their reactants and products.  An Interaction defined by Rules has no stoichiometry, so each
+of its Rules is written as a reaction that produces its Species at the rate given by the Rule
+expression.  Either way, the rates of change of the exported model are the same as the rate laws
+built by compile.
+@method toSBML
+@param {String} model_id An optional identifier for the SBML model
+@return {String} The SBML document
+*/
+System.toSBML = function(model_id) {
+	var lines = [];
+	lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+	lines.push('<sbml xmlns="' + SBML_NAMESPACE + '" level="3" version="1">');
+	lines.push('  <model id="' + escapeXML(model_id || 'model') + '">');
+	// Species that aren't in a Compartment are measured in amounts in a default compartment
+	lines.push('    <listOfCompartments>');
+	for (var c in this.compartments) {
+		lines.push('      <compartment id="' + escapeXML(c) + '"' +
+			(this.compartments[c].name ? ' name="' + escapeXML(this.compartments[c].name) + '"' : '') +
+			' spatialDimensions="3" size="' + this.parameters[this.compartments[c].volume].value + 
+			'" constant="true"/>');
+	}
+	var amounts = Object.keys(this.species).some(function(sp) { return !this.species[sp].compartment; }, this);
+	if ((amounts || !Object.keys(this.compartments).length) && !('compartment' in this.compartments)) {
+		lines.push('      <compartment id="compartment" spatialDimensions="3" size="1" constant="true"/>');
+	}
+	lines.push('    </listOfCompartments>');
+
+	if (Object.keys(this.species).length) {
+		lines.push('    <listOfSpecies>');
+		for (var sp in this.species) {
+			var species = this.species[sp];
+			var quantity = species.compartment ?
+				' compartment="' + escapeXML(species.compartment) + '" initialConcentration="' + 
+				species.initial_value + '" hasOnlySubstanceUnits="false"' :
+				' compartment="compartment" initialAmount="' + species.initial_value + 
+				'" hasOnlySubstanceUnits="true"';
+			lines.push('      <species id="' + escapeXML(sp) + '"' +
+				(species.name ? ' name="' + escapeXML(species.name) + '"' : '') +
+				quantity + ' boundaryCondition="false" constant="false"/>');
+		}
+		lines.push('    </listOfSpecies>');
+	}
+
+	// The volume of a Compartment with the same identifier is written as its size
+	var parameter_ids = Object.keys(this.parameters).filter(function(p) { return !(p in this.compartments); }, this);
+	if (parameter_ids.length) {
+		lines.push('    <listOfParameters>');
+		for (var i_p = 0; i_p < parameter_ids.length; i_p++) {
+			var p = parameter_ids[i_p];
+			var parameter = this.parameters[p];
+			lines.push('      <parameter id="' + escapeXML(p) + '"' +
+				(parameter.name ? ' name="' + escapeXML(parameter.name) + '"' : '') +
+				' value="' + parameter.value + '" constant="true"/>');
+		}
+		lines.push('    </listOfParameters>');
+	}
+
+	var reactions = [];
+	// Reactions are named after their Interaction, with the index of the instance if the
+	// Interaction is instantiated more than once
+	var instances = {};
+	this._interactions.forEach(function(interaction) {
+		instances[interaction.name] = (instances[interaction.name] || 0) + 1;
+	});
+	var reactionId = function(interaction, i_int, suffix) {
+		var id = interaction.name + ((instances[interaction.name] > 1) ? '_' + i_int : '') + (suffix || '');
+		id = id.replace(/[^A-Za-z0-9_]/g, '_');
+		return /^[A-Za-z_]/.test(id) ? id : '_' + id;
+	};
+	var speciesReferences = function(list, references) {
+		if (references.length) {
+			reactions.push('        <' + list + '>');
+			references.forEach(function(reference) {
+				reactions.push('          <speciesReference species="' + escapeXML(reference[0]) +
+					'" stoichiometry="' + reference[1] + '" constant="true"/>');
+			});
+			reactions.push('        </' + list + '>');
+		}
+	};
+	for (var i_int = 0; i_int < this._interactions.length; i_int++) {
+		var interaction = this._interactions[i_int];
+		// A reaction-style Interaction is written as a single reaction with its net stoichiometry
+		if (interaction.stoichiometry) {
+			var reactants = [];
+			var products = [];
+			for (var s_id in interaction.stoichiometry) {
+				var coefficient = interaction.stoichiometry[s_id];
+				if (coefficient < 0) {
+					reactants.push([s_id, -coefficient]);
+				} else if (coefficient > 0) {
+					products.push([s_id, coefficient]);
+				}
+			}
+			var modifiers = [];
+			interaction.rate.expression.filter(function(node) { return node.type == 'SymbolNode'; }).forEach(function(node) {
+				if (node.name in this.species && !interaction.stoichiometry[node.name] && modifiers.indexOf(node.name) == -1) {
+					modifiers.push(node.name);
+				}
+			}, this);
+			reactions.push('      <reaction id="' + reactionId(interaction, i_int) + 
+				'" name="' + escapeXML(interaction.name) + '" reversible="false" fast="false">');
+			speciesReferences('listOfReactants', reactants);
+			speciesReferences('listOfProducts', products);
+			if (modifiers.length) {
+				reactions.push('        <listOfModifiers>');
+				modifiers.forEach(function(modifier) {
+					reactions.push('          <modifierSpeciesReference species="' + escapeXML(modifier) + '"/>');
+				});
+				reactions.push('        </listOfModifiers>');
+			}
+			reactions.push('        <kineticLaw>');
+			reactions.push('          <math xmlns="' + MATHML_NAMESPACE + '">');
+			reactions.push('            ' + nodeToMathML(interaction.rate.expression, this));
+			reactions.push('          </math>');
+			reactions.push('        </kineticLaw>');
+			reactions.push('      </reaction>');
+			continue;
+		}
+		for (var r_id in interaction.rules) {
+			var expression = interaction.rules[r_id].expression;
+			if (!expression) {
+				continue;
+			}
+			// Every other Species read by the Rule is a modifier of the reaction
+			var modifiers = [];
+			expression.filter(function(node) { return node.type == 'SymbolNode'; }).forEach(function(node) {
+				if (node.name != r_id && node.name in this.species && modifiers.indexOf(node.name) == -1) {
+					modifiers.push(node.name);
+				}
+			}, this);
+			reactions.push('      <reaction id="' + reactionId(interaction, i_int, '_' + r_id) + 
+				'" name="' + escapeXML(interaction.name) + '" reversible="true" fast="false">');
+			speciesReferences('listOfProducts', [[r_id, 1]]);
+			if (modifiers.length) {
+				reactions.push('        <listOfModifiers>');
+				modifiers.forEach(function(modifier) {
+					reactions.push('          <modifierSpeciesReference species="' + escapeXML(modifier) + '"/>');
+				});
+				reactions.push('        </listOfModifiers>');
+			}
+			reactions.push('        <kineticLaw>');
+			reactions.push('          <math xmlns="' + MATHML_NAMESPACE + '">');
+			reactions.push('            ' + nodeToMathML(expression, this));
+			reactions.push('          </math>');
+			reactions.push('        </kineticLaw>');
+			reactions.push('      </reaction>');
+		}
+	}
+	if (reactions.length) {
+		lines.push('    <listOfReactions>');
+		lines = lines.concat(reactions);
+		lines.push('    </listOfReactions>');
+	}
+
+	lines.push('  </model>');
+	lines.push('</sbml>');
+	return lines.join('\n');
+};
@@ -0,0 +1,270 @@
+/**
+Local sensitivity analysis for System models.  Requires system.js, math.js and numeric.js
+@module System
+*/
+
+/**
+Build the syntax tree of an operation, folding constants so that derivatives stay small.  For
+example, 0 * x is 0 and 1 * x is x.
+@method sensitivityOperation
+@private
+@param {String} op The operator, one of + - * / ^
+@param {Node} a The left operand
+@param {Node} b The right operand
+@return {Node} The root of the syntax tree
+*/
+function sensitivityOperation(op, a, b) {
+	var node = math.expression.node;
+	var fns = { '+': 'add', '-': 'subtract', '*': 'multiply', '/': 'divide', '^': 'pow' };
+	var constant = function(n) { return n.type == 'ConstantNode' && n.valueType == 'number'; };
+	var is = function(n, value) { return constant(n) && Number(n.value) == value; };
+	if (constant(a) && constant(b)) {
+		return new node.ConstantNode(math[fns[op]](Number(a.value), Number(b.value)));
+	}
+	switch (op) {
+		case '+':
+			if (is(a, 0)) return b;
+			if (is(b, 0)) return a;
+			break;
+		case '-':
+			if (is(b, 0)) return a;
+			if (is(a, 0)) return new node.OperatorNode('-', 'unaryMinus', [b]);
+			break;
+		case '*':
+			if (is(a, 0) || is(b, 0)) return new node.ConstantNode(0);
+			if (is(a, 1)) return b;
+			if (is(b, 1)) return a;
+			break;
+		case '/':
+			if (is(a, 0)) return new node.ConstantNode(0);
+			if (is(b, 1)) return a;
+			break;
+		case '^':
+			if (is(b, 0)) return new node.ConstantNode(1);
+			if (is(b, 1)) return a;
+			break;
+	}
+	return new node.OperatorNode(op, fns[op], [a, b]);
+}
+
+/**
+Differentiate an expression symbolically.  Supports numbers, symbols, the arithmetic operators,
+the conditional operator and the functions exp, log, sqrt, pow, sin, cos and abs.  The bundled
+math.js 1.1.0 has no derivative function (it was added to math.js later), so the rules are
+applied to the syntax tree here.
+@method differentiateNode
+@private
+@param {Node} expression The root of the expression's syntax tree
+@param {String} variable The symbol to differentiate with respect to
+@return {Node} The root of the derivative's syntax tree
+*/
+function differentiateNode(expression, variable) {
+	var node = math.expression.node;
+	var d = function(n) { return differentiateNode(n, variable); };
+	var op = sensitivityOperation;
+	var zero = new node.ConstantNode(0);
+	var args = expression.args || [];
+	switch (expression.type) {
+		case 'ConstantNode':
+			return zero;
+		case 'SymbolNode':
+			return new node.ConstantNode(expression.name == variable ? 1 : 0);
+		case 'ConditionalNode':
+			var true_expr = d(expression.trueExpr);
+			var false_expr = d(expression.falseExpr);
+			return (true_expr.type == 'ConstantNode' && false_expr.type == 'ConstantNode' &&
+				true_expr.value == false_expr.value) ? true_expr :
+				new node.ConditionalNode(expression.condition, true_expr, false_expr);
+		case 'OperatorNode':
+			var a = args[0];
+			var b = args[1];
+			if (args.length == 1) {
+				if (expression.fn == 'unaryPlus') {
+					return d(a);
+				}
+				if (expression.fn == 'unaryMinus') {
+					return op('-', zero, d(a));
+				}
+				break;
+			}
+			switch (expression.op) {
+				case '+':
+				case '-':
+					return op(expression.op, d(a), d(b));
+				case '*':
+					return op('+', op('*', d(a), b), op('*', a, d(b)));
+				case '/':
+					return op('/', op('-', op('*', d(a), b), op('*', a, d(b))),
+						op('^', b, new node.ConstantNode(2)));
+				case '^':
+					return differentiateNode(new node.FunctionNode('pow', [a, b]), variable);
+			}
+			break;
+		case 'FunctionNode':
+			var a = args[0];
+			var da = a ? d(a) : zero;
+			switch (expression.name) {
+				case 'exp':
+					return op('*', da, expression);
+				case 'log':
+					if (args.length == 1) {
+						return op('/', da, a);
+					}
+					break;
+				case 'sqrt':
+					return op('/', da, op('*', new node.ConstantNode(2), expression));
+				case 'sin':
+					return op('*', da, new node.FunctionNode('cos', [a]));
+				case 'cos':
+					return op('-', zero, op('*', da, new node.FunctionNode('sin', [a])));
+				case 'abs':
+					return op('*', da, new node.FunctionNode('sign', [a]));
+				case 'pow':
+					var b = args[1];
+					var db = d(b);
+					// d(a^b) = b a^(b-1) da + a^b log(a) db
+					var power = op('*', op('*', b, op('^', a,
+						op('-', b, new node.ConstantNode(1)))), da);
+					if (db.type == 'ConstantNode' && Number(db.value) == 0) {
+						return power;
+					}
+					return op('+', power, op('*', op('*', op('^', a, b),
+						new node.FunctionNode('log', [a])), db));
+			}
+			break;
+	}
+	throw new Error('sensitivities: cannot differentiate ' + expression.toString());
+}
+
+/**
+Compute the local sensitivities of the Species to Parameters by integrating the forward
+sensitivity equations along with the model.  The sensitivity of Species y to Parameter p is
+S = dy/dp, which changes at the rate dS/dt = J S + df/dp, where f are the rates of change of the
+Species and J = df/dy.  The derivatives are taken symbolically from the rate laws.  Like simulate,
+the simulation starts from the current values of the Species, doses and infusions are given, and
+the Species are left with their final values.  Doses are taken not to depend on the Parameters.
+SystemEvents and time delays are not supported.  The System must be compiled first.
+@method sensitivities
+@param {Number} t0 The initial time
+@param {Number} tf The final time
+@param {Array} [params] The identifiers of the Parameters.  Defaults to all Parameters
+@return {Simulation} The Simulation, with two more fields.  sensitivities maps each Species to
+an object that maps each Parameter to the time course of dy/dp.  normalized_sensitivities has
+the same form and holds (p / y) dy/dp, the relative change of the Species per relative change
+of the Parameter, which is 0 where y is 0.
+*/
+System.sensitivities = function(t0, tf, params) {
+	var system = this;
+	var species_ids = Object.keys(this.species);
+	var p_ids = params || Object.keys(this.parameters);
+	p_ids.forEach(function(p) {
+		if (!(p in system.parameters)) {
+			throw new Error('sensitivities: ' + p + ' is not a Parameter in the System');
+		}
+	});
+	if (this.events.length) {
+		throw new Error('sensitivities: SystemEvents are not supported');
+	}
+	var n = species_ids.length;
+	var m = p_ids.length;
+
+	// Compile the derivatives of the rate laws, leaving out those that are zero
+	this.delays = [];
+	var rates = [];
+	var jacobian = [];
+	species_ids.forEach(function(sp, i_sp) {
+		var expression = system.species[sp].rate_law.expression;
+		rates[i_sp] = expression ? system.compileRateLaw(expression) : math.compile('0');
+	});
+	if (this.delays.length) {
+		throw new Error('sensitivities: time delays are not supported');
+	}
+	species_ids.forEach(function(sp, i_sp) {
+		var expression = system.species[sp].rate_law.expression;
+		var derivative = function(variable) {
+			var d = differentiateNode(expression, variable);
+			return (d.type == 'ConstantNode' && Number(d.value) == 0) ? null : d.compile(math);
+		};
+		jacobian[i_sp] = expression ? species_ids.concat(p_ids).map(derivative) : [];
+	});
+
+	// The state is the Species followed by the sensitivities, n values for each Parameter
+	var dY = function(t, y, inputs) {
+		var scope = system.getScope(t, y.slice(0, n));
+		var dy = [];
+		for (var i_sp = 0; i_sp < n; i_sp++) {
+			dy[i_sp] = rates[i_sp].eval(scope) + inputs[i_sp];
+		}
+		var J = jacobian.map(function(row) {
+			return row.map(function(d) { return d ? d.eval(scope) : 0; });
+		});
+		for (var i_p = 0; i_p < m; i_p++) {
+			for (var i_sp = 0; i_sp < n; i_sp++) {
+				var ds = 0;
+				for (var j_sp = 0; j_sp < n; j_sp++) {
+					if (J[i_sp][j_sp]) {
+						ds += J[i_sp][j_sp] * y[n + i_p * n + j_sp];
+					}
+				}
+				dy[n + i_p * n + i_sp] = ds + (J[i_sp][n + i_p] || 0);
+			}
+		}
+		return dy;
+	};
+
+	// Integrate between the times at which DosingSchedules change the System, like integrate
+	var breakpoints = [t0, tf];
+	for (var i_d = 0; i_d < this.dosing.length; i_d++) {
+		breakpoints = breakpoints.concat(this.dosing[i_d].breakpoints(t0, tf));
+	}
+	breakpoints.sort(function(a, b) { return a - b; });
+	breakpoints = breakpoints.filter(function(t, i_t) { return i_t == 0 || t != breakpoints[i_t-1]; });
+	var y0 = species_ids.map(function(sp) { return system.species[sp].value; });
+	for (var i_s = 0; i_s < n * m; i_s++) {
+		y0.push(0);
+	}
+	var solution = { x: [t0], y: [y0] };
+	for (var i_b = 0; i_b < breakpoints.length - 1; i_b++) {
+		var t_start = breakpoints[i_b];
+		var t_end = breakpoints[i_b+1];
+		var y_start = solution.y[solution.y.length-1].slice();
+		var inputs = species_ids.map(function() { return 0; });
+		var dosed = false;
+		for (var i_d = 0; i_d < this.dosing.length; i_d++) {
+			var i_sp = species_ids.indexOf(this.dosing[i_d].species);
+			var doses = this.dosing[i_d].doses(t_start, t_end);
+			var volume = this.volume(this.dosing[i_d].species);
+			for (var i_dose = 0; i_dose < doses.length; i_dose++) {
+				y_start[i_sp] += doses[i_dose][1] / volume;
+				dosed = true;
+			}
+			inputs[i_sp] += this.dosing[i_d].rate(0.5 * (t_start + t_end)) / volume;
+		}
+		if (dosed) {
+			solution.x.push(t_start);
+			solution.y.push(y_start);
+		}
+		var segment = numeric.dopri(t_start, t_end, y_start, dY, 1e-6, 10000, function() {return -1}, inputs);
+		solution.x = solution.x.concat(segment.x.slice(1));
+		solution.y = solution.y.concat(segment.y.slice(1));
+	}
+
+	var simulation = new Simulation(this, { x: solution.x, y: solution.y.map(function(y) { return y.slice(0, n); }) });
+	simulation.sensitivities = {};
+	simulation.normalized_sensitivities = {};
+	species_ids.forEach(function(sp, i_sp) {
+		var trajectory = simulation.trajectory[sp];
+		simulation.sensitivities[sp] = {};
+		simulation.normalized_sensitivities[sp] = {};
+		p_ids.forEach(function(p, i_p) {
+			var value = system.parameters[p].value;
+			var s = solution.y.map(function(y) { return y[n + i_p * n + i_sp]; });
+			simulation.sensitivities[sp][p] = s;
+			simulation.normalized_sensitivities[sp][p] = s.map(function(s_t, i_t) {
+				return trajectory[i_t] ? s_t * value / trajectory[i_t] : 0;
+			});
+		});
+		system.species[sp].value = trajectory[trajectory.length-1];
+	});
+	return simulation;
+};
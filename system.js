@@ -19,6 +19,272 @@ function subclass(constructor, superConstructor)
 	constructor.prototype = prototypeObject;
 }
 
+/**
+Construct a pseudo-random number generator.  A seeded generator produces the same sequence
+of numbers every time, so that stochastic simulations are reproducible.
+@method seededRandom
+@param {Number} [seed] An integer seed.  If omitted, Math.random is returned
+@return {Function} A function that returns a uniformly distributed number in [0, 1)
+*/
+function seededRandom(seed) {
+	if (seed === undefined || seed === null) {
+		return Math.random;
+	}
+	// mulberry32, a small, fast generator with a 32-bit state
+	var state = seed >>> 0;
+	return function() {
+		state = (state + 0x6D2B79F5) >>> 0;
+		var t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+Draw a Poisson distributed random number.  Small means are sampled exactly by multiplying 
+uniform numbers; large means use the normal approximation.
+@method poissonRandom
+@param {Number} mean The mean of the distribution
+@param {Function} random A random number generator, see seededRandom
+@return {Number} A non-negative integer
+*/
+function poissonRandom(mean, random) {
+	if (mean < 30) {
+		var limit = Math.exp(-mean);
+		var n = 0;
+		var product = random();
+		while (product > limit) {
+			n++;
+			product *= random();
+		}
+		return n;
+	}
+	// Box-Muller transform
+	var normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+	return Math.max(0, Math.round(mean + Math.sqrt(mean) * normal));
+}
+
+/**
+Build a function that records the states of a stochastic simulation.  Without an interval every
+state is recorded.  With an interval, the state is only recorded at the times t0 + n interval,
+which keeps long simulations of large populations from filling the memory.
+@method stochasticRecorder
+@private
+@param {Object} solution The solution, with fields x and y that hold the initial time and state
+@param {Number} [interval] The time between recorded states
+@return {Function} A function(t, state) to call whenever the state changes at time t.  With an
+interval, the final state must be added to the solution by the caller
+*/
+function stochasticRecorder(solution, interval) {
+	var t0 = solution.x[0];
+	var previous = solution.y[0];
+	var n = 1;
+	return function(t, state) {
+		if (!interval) {
+			solution.x.push(t);
+			solution.y.push(state.slice());
+			return;
+		}
+		// The previous state held until t
+		for (; t0 + n * interval < t; n++) {
+			solution.x.push(t0 + n * interval);
+			solution.y.push(previous);
+		}
+		previous = state.slice();
+	};
+}
+
+// The base dimensions of units, and the dimensions of the other kinds of math.js units
+var DIMENSIONS = ['length', 'mass', 'time', 'current', 'temperature', 'luminous intensity', 
+	'amount', 'bit'];
+var DERIVED_DIMENSIONS = {
+	NONE: {},
+	ANGLE: {},
+	FORCE: { length: 1, mass: 1, time: -2 },
+	SURFACE: { length: 2 },
+	VOLUME: { length: 3 }
+};
+
+/**
+Parse a unit, eg 'mmol/L' or 'L/(mmol*min)', into its dimensions and its size in SI units.  Each
+symbol must be a unit known to math.js, with an optional prefix.  Numbers are dimensionless.
+@method parseUnit
+@param {String} unit The unit
+@return {Object} An object with the fields dimensions (an Array with the exponent of each base 
+dimension, ordered like DIMENSIONS), scale (the size of the unit in SI units) and unit (the unit
+as written, which is used to describe it, see formatUnits)
+@throws {Error} If the unit is not valid
+*/
+function parseUnit(unit) {
+	var node;
+	try {
+		node = math.parse(unit);
+	} catch (error) {
+		throw new Error('parseUnit: ' + unit + ' is not a valid unit');
+	}
+	var dimensions = unitDimensions(node, function(symbol) {
+		var simple;
+		try {
+			simple = math.unit(symbol);
+		} catch (error) {
+			// math.js only allows prefixes on some units, eg not on mol
+			var prefixes = math.type.Unit.PREFIXES.SHORT;
+			for (var prefix in prefixes) {
+				var base_unit = math.type.Unit.UNITS[symbol.substring(prefix.length)];
+				if (prefix && symbol.indexOf(prefix) == 0 && base_unit) {
+					simple = { unit: base_unit, prefix: prefixes[prefix] };
+					break;
+				}
+			}
+		}
+		if (!simple) {
+			throw new Error('parseUnit: ' + symbol + ' in ' + unit + ' is not a valid unit');
+		}
+		var exponents = {};
+		for (var base in math.type.Unit.BASE_UNITS) {
+			if (math.type.Unit.BASE_UNITS[base] === simple.unit.base) {
+				exponents = DERIVED_DIMENSIONS[base] || {};
+				if (!DERIVED_DIMENSIONS[base]) {
+					exponents[DIMENSIONS[['LENGTH', 'MASS', 'TIME', 'CURRENT', 'TEMPERATURE', 
+						'LUMINOUS_INTENSITY', 'AMOUNT_OF_SUBSTANCE', 'BIT'].indexOf(base)]] = 1;
+				}
+			}
+		}
+		return {
+			dimensions: DIMENSIONS.map(function(dimension) { return exponents[dimension] || 0; }),
+			scale: simple.unit.value * simple.prefix.value
+		};
+	});
+	if (!dimensions) {
+		throw new Error('parseUnit: ' + unit + ' is not a valid unit');
+	}
+	return { dimensions: dimensions.dimensions, scale: dimensions.scale, unit: unit };
+}
+
+/**
+Find the units of a mathematical expression by combining the units of its symbols.  Numbers are
+dimensionless.  Sums must have the same units throughout, and the arguments of exp, log and 
+the trigonometric functions must be dimensionless.
+@method unitDimensions
+@private
+@param {Node} node The root Node of the expression
+@param {Function} lookup Returns the units of a symbol, as returned by parseUnit, or null if
+they are unknown
+@param {Array} [problems] Sums and functions with inconsistent units are described in this Array
+@return {Object} The units, as returned by parseUnit, or null if they are unknown
+*/
+function unitDimensions(node, lookup, problems) {
+	problems = problems || [];
+	var dimensionless = { dimensions: DIMENSIONS.map(function() { return 0; }), scale: 1 };
+	var args = (node.args || []).map(function(arg) { return unitDimensions(arg, lookup, problems); });
+	var known = args.every(function(arg) { return arg != null; });
+	var power = function(units, exponent) {
+		return { dimensions: units.dimensions.map(function(d) { return d * exponent; }), 
+			scale: Math.pow(units.scale, exponent) };
+	};
+	var product = function(a, b) {
+		return { dimensions: a.dimensions.map(function(d, i_d) { return d + b.dimensions[i_d]; }),
+			scale: a.scale * b.scale };
+	};
+	if (node.type == 'ConstantNode') {
+		return dimensionless;
+	} else if (node.type == 'SymbolNode') {
+		return lookup(node.name);
+	} else if (!known) {
+		return null;
+	} else if (node.type == 'OperatorNode') {
+		switch (node.fn) {
+			case 'unaryMinus':
+			case 'unaryPlus':
+				return args[0];
+			case 'multiply':
+				return product(args[0], args[1]);
+			case 'divide':
+				return product(args[0], power(args[1], -1));
+			case 'add':
+			case 'subtract':
+				if (!sameUnits(args[0], args[1], true)) {
+					problems.push('the sides of ' + node.toString() + ' have units ' + formatUnits(args[0]) + 
+						' and ' + formatUnits(args[1]));
+				}
+				return args[0];
+			case 'pow':
+				if (node.args[1].filter(function(n) { return n.type == 'SymbolNode'; }).length) {
+					return sameUnits(args[0], dimensionless, true) ? dimensionless : null;
+				}
+				return power(args[0], node.args[1].compile(math).eval());
+		}
+		return null;
+	} else if (node.type == 'FunctionNode') {
+		switch (node.name) {
+			case 'abs':
+			case 'delay':
+			case 'min':
+			case 'max':
+				return args[0];
+			case 'sqrt':
+				return power(args[0], 0.5);
+			case 'exp':
+			case 'log':
+			case 'log10':
+			case 'sin':
+			case 'cos':
+			case 'tan':
+			case 'tanh':
+				if (!sameUnits(args[0], dimensionless, false)) {
+					problems.push('the argument of ' + node.toString() + ' has units ' + formatUnits(args[0]) + 
+						' but should be dimensionless');
+				}
+				return dimensionless;
+		}
+	}
+	return null;
+}
+
+/**
+Compare two units
+@method sameUnits
+@private
+@param {Object} a Units, as returned by parseUnit
+@param {Object} b Units, as returned by parseUnit
+@param {Boolean} scaled Whether the units must also have the same size, eg mg and g have the 
+same dimensions but not the same size
+@return {Boolean} True if the units are the same
+*/
+function sameUnits(a, b, scaled) {
+	var same = a.dimensions.every(function(d, i_d) { return Math.abs(d - b.dimensions[i_d]) < 1e-12; });
+	return same && (!scaled || Math.abs(a.scale - b.scale) <= 1e-9 * Math.abs(b.scale));
+}
+
+/**
+Describe units.  Units that were declared, eg on a Species or a Parameter, are described as they
+were written, eg 'mmol/L'.  Units derived from them, eg of a product, are described by their
+size in SI units and their dimensions, eg '0.0167 length^-3 time^-1 amount' for mmol/L/min
+@method formatUnits
+@private
+@param {Object} units Units, as returned by parseUnit or unitDimensions
+@return {String} The description
+*/
+function formatUnits(units) {
+	if (units.unit) {
+		return units.unit;
+	}
+	var terms = [];
+	for (var i_d = 0; i_d < DIMENSIONS.length; i_d++) {
+		var exponent = units.dimensions[i_d];
+		if (exponent) {
+			terms.push(DIMENSIONS[i_d] + (exponent == 1 ? '' : '^' + exponent));
+		}
+	}
+	var description = terms.length ? terms.join(' ') : 'dimensionless';
+	var scale = Number(units.scale.toPrecision(3));
+	if (scale == 1) {
+		return description;
+	}
+	return ((scale < 1e-3 || scale >= 1e4) ? scale.toExponential() : scale) + ' ' + description;
+}
+
 /** 
 A 'Species' is a state variable in a dynamic system.  It is left open
 to the user's interpretation whether a Species refers to a biochemical
@@ -27,8 +293,10 @@ species or a biological species. Requires math.js
 @constructor
 @param {Number} initial_value The initial quantity of this Species at the beginning of a simulation.
 @param {String} name The identifier used to reference this Species object.
+@param {String} [compartment] The identifier of the Compartment that contains this Species
+@param {String} [unit] The unit of the Species' value, see unit
 */
-function Species(initial_value, name) {
+function Species(initial_value, name, compartment, unit) {
 
 	/**
 	A unique, descriptive identifier used to refer to the Species.  Examples are "R" or "rabbit"
@@ -42,6 +310,27 @@ function Species(initial_value, name) {
 	*/
 	this.value = initial_value;
 
+	/**
+	The quantity of this Species when it was added to the System.  Unlike value, the initial_value
+	is not updated by a simulation
+	@property {Number} initial_value
+	*/
+	this.initial_value = initial_value;
+
+	/**
+	The identifier of the Compartment that contains this Species, or null.  The value of a Species
+	in a Compartment is a concentration; the value of any other Species is an amount.
+	@property {String} compartment
+	*/
+	this.compartment = compartment || null;
+
+	/**
+	The unit of the Species' value, eg 'mmol/L', or null if the Species has no unit.  Any 
+	combination of math.js units is allowed, see parseUnit
+	@property {String} unit
+	*/
+	this.unit = unit || null;
+
 	/**
 	The rate law, represented by a Rule object, is an equation that describes 
 	the rate of change of a Species in a dynamic System.  The rate_law contains a mathematical 
@@ -118,8 +407,12 @@ A Parameter is a mathematical constant that can be referenced in Rule expression
 @private
 @param {Number} value The numerical value of this mathematical constant
 @param {String} name A full descriptive name for this parameter, eg "temperature"
+@param {Object} [metadata] An object with any of the fields unit, min, max, step, scale and 
+description, see the properties of the same names
 */
-function Parameter(value, name) {
+function Parameter(value, name, metadata) {
+	metadata = metadata || {};
+
 	/**
 	The numerical value of this mathematical constant
 	@property {Number} value
@@ -132,11 +425,71 @@ function Parameter(value, name) {
 	*/
 	this.name = name;
 
+	/**
+	The unit of the value, eg '1/min', or null if the Parameter has no unit
+	@property {String} unit
+	*/
+	this.unit = metadata.unit || null;
+
+	/**
+	The smallest value the Parameter may take, eg in a slider or when fitting, or null if the 
+	Parameter has no lower bound
+	@property {Number} min
+	*/
+	this.min = (metadata.min == null) ? null : metadata.min;
+
+	/**
+	The largest value the Parameter may take, or null if the Parameter has no upper bound
+	@property {Number} max
+	*/
+	this.max = (metadata.max == null) ? null : metadata.max;
+
+	/**
+	The increment of a control that changes the Parameter, or null for a continuous control
+	@property {Number} step
+	*/
+	this.step = (metadata.step == null) ? null : metadata.step;
+
+	/**
+	Either 'linear' or 'log'.  A Parameter on a log scale, eg a rate constant that may vary 
+	over orders of magnitude, is changed in proportion to its value, so it must be positive
+	@property {String} scale
+	*/
+	this.scale = metadata.scale || 'linear';
+
+	/**
+	A longer description of the Parameter, eg its biological meaning or its source
+	@property {String} description
+	*/
+	this.description = metadata.description || null;
+
 	this.set = function (value) {
 	    this.value = value;
 	}
 }
 
+/**
+A Compartment is a volume, eg a cell or the blood plasma, that contains Species measured as
+concentrations.  The volume is a Parameter, so it can be changed like any other Parameter.
+@class Compartment
+@constructor
+@private
+@param {String} volume The identifier of the Parameter that holds the volume
+@param {String} name A full descriptive name for this Compartment, eg "blood plasma"
+*/
+function Compartment(volume, name) {
+	/**
+	The identifier of the Parameter that holds the volume of this Compartment
+	@property {String} volume
+	*/
+	this.volume = volume;
+
+	/**
+	A full descriptive name for this Compartment
+	@property {String} name
+	*/
+	this.name = name || null;
+}
 
 /**
 Interactions represent subsystem patterns within a larger System.
@@ -156,8 +509,13 @@ know which symbols in mathematical expressions are variables and which are param
 A variable is created for each species listed.  Then a Rule comprising this Interaction 
 is created for each variable.  Ex:  For an Interaction describing the mass-action
 collision of two molecules described by k * A * B the variables are A & B
+@param {Array|Object} [parameters] Declares the parameters of the Interaction, see parameter_definitions.
+Either an Array of parameter symbols, or an Object that maps each parameter symbol to its
+default value, or to an Object with the fields value and name.  Ex: {k: {value: 0.1, name: 'decay rate'}}
+@param {Array} [modifiers] Species symbols that are read by the Rules but not changed by this
+Interaction, for example an enzyme or a hormone that regulates a rate.  No Rule is created for a modifier.
 */
-function InteractionDefinition(system, name, species) {
+function InteractionDefinition(system, name, species, parameters, modifiers) {
 	/**
 	The parent system that this Interaction belongs to
 	@property {System} system
@@ -195,6 +553,98 @@ function InteractionDefinition(system, name, species) {
 	//this.variables = [];  // variables parsed from rules and contained in this Interaction's local scope
 	//this.parameters = []; // parameters parsed from rules and contained in this Interaction's local scope
 
+	/**
+	Getter for modifiers in this Interaction.  Modifiers are Species that appear in the Rules
+	but whose rate laws are not changed by this Interaction.
+	@method modifiers
+	@return {Array} Returns an array of all modifier identifiers
+	*/
+	var modifier_ids = (modifiers || []).slice();
+	this.modifiers = function() {
+		return modifier_ids.slice();
+	}
+
+	/**
+	The net stoichiometry of a reaction-style Interaction, mapping each variable to the change in
+	its Species each time the reaction occurs, eg {E: 0, S: -1, P: 1}.  Null if the Interaction 
+	is defined by one Rule per variable.  See System.defineReaction
+	@property {Object} stoichiometry
+	*/
+	this.stoichiometry = null;
+
+	/**
+	The rate of a reaction-style Interaction.  The Rule of each variable is derived from the rate
+	and the stoichiometry when the System is compiled, see terms.  Null if the Interaction is
+	defined by one Rule per variable.
+	@property {Rule} rate
+	*/
+	this.rate = null;
+
+	/**
+	The reaction equation of a reaction-style Interaction, eg 'E + S -> C', or null
+	@property {String} equation
+	*/
+	this.equation = null;
+
+	/**
+	Getter for the mathematical terms that this Interaction adds to the rate laws of its variables.
+	For an Interaction defined by Rules, these are the Rule expressions.  For a reaction, each 
+	variable's term is its net stoichiometric coefficient times the rate.  Terms of Species in a 
+	Compartment are divided by its volume.  Variables whose Rule is not set, or whose net 
+	stoichiometry is zero, have no term.
+	@method terms
+	@return {Object} Maps each variable identifier to the root Node of a new syntax tree
+	*/
+	this.terms = function() {
+		var terms = {};
+		for (var r_id in this.rules) {
+			if (this.stoichiometry) {
+				var coefficient = this.stoichiometry[r_id];
+				if (coefficient == 1) {
+					terms[r_id] = math.parse(this.rate.expression.toString());
+				} else if (coefficient == -1) {
+					terms[r_id] = math.parse('-(' + this.rate.expression.toString() + ')');
+				} else if (coefficient) {
+					terms[r_id] = math.parse(coefficient + ' * (' + this.rate.expression.toString() + ')');
+				}
+			} else if (this.rules[r_id].expression) {
+				terms[r_id] = math.parse(this.rules[r_id].expression.toString());
+			}
+			// Rules and rates give the change in amount, which is converted to a change in 
+			// concentration for Species in a Compartment
+			var species = this.system.species[r_id];
+			if (terms[r_id] && species && species.compartment) {
+				var volume = this.system.compartments[species.compartment].volume;
+				terms[r_id] = new math.expression.node.OperatorNode('/', 'divide', 
+					[terms[r_id], new math.expression.node.SymbolNode(volume)]);
+			}
+		}
+		return terms;
+	}
+
+	/**
+	The declared parameters of this Interaction, or null if the parameters are inferred from
+	the Rules.  Maps each parameter symbol to an Object with the fields value (the default value, 
+	or null if there is no default) and name (a description, or null).  
+	@property {Object} parameter_definitions
+	*/
+	this.parameter_definitions = null;
+	if (parameters) {
+		this.parameter_definitions = {};
+		var p_ids = Array.isArray(parameters) ? parameters : Object.keys(parameters);
+		for (var i_p = 0; i_p < p_ids.length; i_p++) {
+			var definition = Array.isArray(parameters) ? null : parameters[p_ids[i_p]];
+			if (typeof definition === 'number') {
+				definition = { value: definition };
+			}
+			definition = definition || {};
+			this.parameter_definitions[p_ids[i_p]] = {
+				value: (definition.value === undefined) ? null : definition.value,
+				name: definition.name || null
+			};
+		}
+	}
+
 	/**
 	Getter for variables in this Interaction.
 	TODO:  Perhaps this should be a property?  Tried using get variables() here, 
@@ -213,18 +663,30 @@ function InteractionDefinition(system, name, species) {
 	// but given the small size of our Interactions in practice probably not a big deal
 	// We might consider forcing the user to specify the parameters when the Rule is defined
 	/**
-	Getter for parameters in this Interaction.
+	Getter for parameters in this Interaction.  Declared parameters are listed in the order they 
+	were declared.  Otherwise parameters are listed in the order they are first found while 
+	traversing the Rules.  This is the order expected by positional p_args in System.addInteraction
 	@method parameters
 	@return {Array} Returns an array of all parameters referenced in this Interaction
 	*/
 	this.parameters = function() {
+		if (this.parameter_definitions) {
+			return Object.keys(this.parameter_definitions);
+		}
 		var parameters = [];
 		var p_nodes = [];
 		var p_names = [];
-		var variables = this.variables()
+		var variables = this.variables().concat(this.modifiers());
+		var expressions = [];
 		for (r_id in this.rules) {
-			if (this.rules[r_id].expression) {
-				p_nodes = this.rules[r_id].expression.filter(function (node) { 
+			expressions.push(this.rules[r_id].expression);
+		}
+		if (this.rate) {
+			expressions.push(this.rate.expression);
+		}
+		for (var i_e = 0; i_e < expressions.length; i_e++) {
+			if (expressions[i_e]) {
+				p_nodes = expressions[i_e].filter(function (node) { 
 					// return (node.type == 'SymbolNode' && 
 							// !(node.name in variables) &&
 							// !(node.name in parameters));
@@ -233,20 +695,197 @@ function InteractionDefinition(system, name, species) {
 							parameters.indexOf(node.name) == -1)
 				});
 				p_names = p_nodes.map(function(node) { return (node.name) });
+				// A symbol may appear more than once in the same Rule
+				p_names = p_names.filter(function(name, i_name) { return p_names.indexOf(name) == i_name; });
 				parameters = parameters.concat(p_names);
 			}
 		}
 		return parameters;
 	}
+
+	/**
+	Converts named bindings into the positional v_args and p_args expected by an Interaction.
+	@method bind
+	@param {Object} bindings An object with the fields variables, parameters and modifiers, each 
+	mapping a local symbol of this definition to a System identifier, 
+	eg {variables: {prey: 'hare', predator: 'fox'}, parameters: {k: 'beta', e: 'gamma'}}
+	@return {Object} An object with the fields v_args, p_args and m_args.  Parameters that are 
+	not bound but have a default value are undefined in p_args
+	@throws {InteractionError} If a symbol is not bound, or a binding doesn't match a symbol
+	*/
+	this.bind = function(bindings) {
+		var definition = this;
+		var v_ids = this.variables();
+		var p_ids = this.parameters();
+		var signature = { name: this.name, variables: v_ids, parameters: p_ids, modifiers: this.modifiers() };
+		var lookup = function(symbols, mapping, kind) {
+			mapping = mapping || {};
+			for (var symbol in mapping) {
+				if (symbols.indexOf(symbol) == -1) {
+					throw new InteractionError('UNKNOWN_BINDING', 'addInteraction: ' + symbol + 
+						' is not a ' + kind + ' of ' + signature.name + ', expected one of ' + 
+						symbols.join(', '), symbol, signature);
+				}
+			}
+			var missing = symbols.filter(function(symbol) { 
+				return !(symbol in mapping) && !(kind == 'parameter' && definition.defaultValue(symbol) != null); 
+			});
+			if (missing.length) {
+				throw new InteractionError('MISSING_BINDING', 'addInteraction: ' + signature.name + 
+					' expects ' + kind + 's ' + symbols.join(', ') + ', missing ' + missing.join(', '), 
+					missing[0], signature);
+			}
+			return symbols.map(function(symbol) { return mapping[symbol]; });
+		};
+		return {
+			v_args: lookup(v_ids, bindings.variables, 'variable'),
+			p_args: lookup(p_ids, bindings.parameters, 'parameter'),
+			m_args: lookup(this.modifiers(), bindings.modifiers, 'modifier')
+		};
+	}
+
+	/**
+	Getter for the default value of a declared parameter
+	@method defaultValue
+	@param {String} symbol The parameter symbol
+	@return {Number} The default value, or null if the parameter has no default
+	*/
+	this.defaultValue = function(symbol) {
+		if (!this.parameter_definitions || !(symbol in this.parameter_definitions)) {
+			return null;
+		}
+		return this.parameter_definitions[symbol].value;
+	}
 	
 }
 
+/**
+An InteractionError is thrown when an Interaction cannot be instantiated from its
+InteractionDefinition, for example because an argument is not a Species or Parameter 
+in the System.
+@class InteractionError
+@constructor
+@extends Error
+@param {String} code A short identifier for the kind of error, eg 'UNKNOWN_SPECIES'
+@param {String} message A description of the error that can be shown to the user
+@param {String} argument The offending argument, if any
+@param {Object} signature The expected arguments, see InteractionError.signature
+*/
+subclass(InteractionError, Error);
+function InteractionError(code, message, argument, signature) {
+	this.name = 'InteractionError';
+
+	/**
+	A short identifier for the kind of error.  One of 'UNKNOWN_INTERACTION', 'VARIABLE_COUNT', 
+	'PARAMETER_COUNT', 'MODIFIER_COUNT', 'UNKNOWN_SPECIES', 'DUPLICATE_SPECIES', 'UNKNOWN_PARAMETER', 
+	'MISSING_BINDING' or 'UNKNOWN_BINDING'
+	@property {String} code
+	*/
+	this.code = code;
+
+	/**
+	A description of the error
+	@property {String} message
+	*/
+	this.message = message;
+
+	/**
+	The offending argument, or null if the error does not concern a single argument
+	@property {String} argument
+	*/
+	this.argument = (argument === undefined) ? null : argument;
+
+	/**
+	The expected signature of the Interaction, an object with the fields name, variables,
+	parameters and modifiers
+	@property {Object} signature
+	*/
+	this.signature = signature || null;
+
+	this.stack = (new Error(message)).stack;
+}
+
 // Instantiate an Interaction inside the system. The v_args and p_args 
 // are substituted into the InteractionDefinition's v_ids and p_ids.
+// Throws an InteractionError if the arguments don't match the InteractionDefinition
 subclass(Interaction, InteractionDefinition);
-function Interaction(base, v_args, p_args) {
+function Interaction(base, v_args, p_args, m_args) {
+	var v_ids = base.variables();
+	var p_ids = base.parameters();
+	var m_ids = base.modifiers();
+	var signature = { name: base.name, variables: v_ids, parameters: p_ids, modifiers: m_ids };
+	m_args = m_args || [];
+
+	// Validate that the correct count of symbol arguments (v_args, p_args) is specified
+	// It should match the count of symbols in the base definition
+	if (v_args.length != v_ids.length) { 
+		throw new InteractionError('VARIABLE_COUNT', 'addInteraction: ' + base.name + ' expects ' + 
+			v_ids.length + ' species (' + v_ids.join(', ') + '), got ' + v_args.length, null, signature);
+	}
+	if (p_args.length != p_ids.length) { 
+		throw new InteractionError('PARAMETER_COUNT', 'addInteraction: ' + base.name + ' expects ' + 
+			p_ids.length + ' parameters (' + p_ids.join(', ') + '), got ' + p_args.length, null, signature);
+	}
+	if (m_args.length != m_ids.length) { 
+		throw new InteractionError('MODIFIER_COUNT', 'addInteraction: ' + base.name + ' expects ' + 
+			m_ids.length + ' modifiers (' + m_ids.join(', ') + '), got ' + m_args.length, null, signature);
+	}
+
+	// Validate that v_args, m_args and p_args are valid Species and Parameters
+	for (var i_arg=0; i_arg < m_args.length; i_arg++) {
+		if (Object.keys(base.system.species).indexOf(m_args[i_arg]) == -1)  { 
+			throw new InteractionError('UNKNOWN_SPECIES', 'addInteraction: ' + m_args[i_arg] + 
+				' is not a Species in the System', m_args[i_arg], signature);
+		}
+	}
+	for (var i_arg=0; i_arg < v_args.length; i_arg++) {
+		if (Object.keys(base.system.species).indexOf(v_args[i_arg]) == -1)  { 
+			throw new InteractionError('UNKNOWN_SPECIES', 'addInteraction: ' + v_args[i_arg] + 
+				' is not a Species in the System', v_args[i_arg], signature);
+		}
+		if (v_args.indexOf(v_args[i_arg]) != i_arg) {
+			throw new InteractionError('DUPLICATE_SPECIES', 'addInteraction: ' + v_args[i_arg] + 
+				' is passed more than once', v_args[i_arg], signature);
+		}
+	}
+	for (var i_arg=0; i_arg < p_args.length; i_arg++) {
+		if (Object.keys(base.system.parameters).indexOf(p_args[i_arg]) == -1)  { 
+			throw new InteractionError('UNKNOWN_PARAMETER', 'addInteraction: ' + p_args[i_arg] + 
+				' is not a Parameter in the System', p_args[i_arg], signature);
+		}
+	}
+
 	// Copy the base object but with new Species
-	InteractionDefinition.call(this, base.system, base.name, v_args);
+	InteractionDefinition.call(this, base.system, base.name, v_args, null, m_args);
+
+	/**
+	The Species identifiers that were substituted for the variables of the InteractionDefinition
+	@property {Array} v_args
+	*/
+	this.v_args = v_args;
+
+	/**
+	The Parameter identifiers that were substituted for the parameters of the InteractionDefinition
+	@property {Array} p_args
+	*/
+	this.p_args = p_args;
+
+	/**
+	The Species identifiers that were substituted for the modifiers of the InteractionDefinition
+	@property {Array} m_args
+	*/
+	this.m_args = m_args;
+
+	// Copy the reaction, with the stoichiometry keyed by the new Species
+	if (base.stoichiometry) {
+		this.stoichiometry = {};
+		for (var i_arg=0; i_arg < v_args.length; i_arg++) {
+			this.stoichiometry[v_args[i_arg]] = base.stoichiometry[v_ids[i_arg]];
+		}
+		this.rate = new Rule();
+		this.rate.set(base.rate.expression.toString(), base.rate.name);
+		this.equation = base.equation;
+	}
 	// Clone the Rule expressions
 	for (var i_r=0; i_r < Object.keys(base.rules).length; i_r++) {
 		var old_rule = base.rules[ Object.keys(base.rules)[i_r] ];
@@ -255,9 +894,6 @@ function Interaction(base, v_args, p_args) {
 		// it appears to copy by reference rather than creating a new expression tree object
 		//new_rule.expression = old_rule.expression.clone();
 		
-		//Debugging output
-		console.log(Object.keys(base.rules)[i_r]);
-		console.log(old_rule);
 		if (old_rule.expression) {
 			new_rule.set( old_rule.expression.toString() );
 		}
@@ -272,34 +908,8 @@ function Interaction(base, v_args, p_args) {
 		// console.log(this.rules[new_rule_id].expression);
 		// }
 
-	var v_ids = base.variables();
-	var p_ids = base.parameters();
 	var symbol_table = {};  // maps { Rule symbol : Interaction argument } 
 		
-	// Validate that v_args and p_args are valid Species and Parameters
-	for (var i_arg=0; i_arg < v_args.length; i_arg++) {
-		if (Object.keys(this.system.species).indexOf(v_args[i_arg]) == -1)  { 
-			return; 
-		}
-	}
-	for (var i_arg=0; i_arg < p_args.length; i_arg++) {
-		if (Object.keys(this.system.parameters).indexOf(p_args[i_arg]) == -1)  { 
-			console.log('addInteraction: Invalid Parameter argument');
-			return; 
-		}
-	}
-	
-	// Validate that the correct count of symbol arguments (v_args, p_args) is specified
-	// It should match the count of symbols in the base definition
-	if (v_args.length != v_ids.length) { 
-		console.log('addInteraction:  Expected variables ', v_ids, ' got ', v_args);
-		return; 
-	}
-	if (p_args.length != p_ids.length) { 
-		console.log('addInteraction:  Expected parameters', p_ids, ' got ', p_args);
-		return; 
-	}
-				
 	// map variable arguments to variable symbols in expression tree
 	// in order which rules were assigned
 	for (var i_arg=0; i_arg < v_args.length; i_arg++) {
@@ -311,6 +921,11 @@ function Interaction(base, v_args, p_args) {
 	for (var i_arg=0; i_arg < p_args.length; i_arg++) {
 		symbol_table[p_ids[i_arg]] = p_args[i_arg];
 		}
+
+	// map modifier arguments to modifier symbols in expression tree
+	for (var i_arg=0; i_arg < m_args.length; i_arg++) {
+		symbol_table[m_ids[i_arg]] = m_args[i_arg];
+		}
 	
 	// // map parameter arguments to parameter symbols in expression tree
 	// // every symbol that's not already a member of rule_ids 
@@ -332,7 +947,11 @@ function Interaction(base, v_args, p_args) {
 	
 	//Substitute variable arguments and parameter arguments for variables and parameters in 
 	//Interaction's local scope
-	for (var r_id in this.rules) {
+	var rules = Object.keys(this.rules).map(function(r_id) { return this.rules[r_id]; }, this);
+	if (this.rate) {
+		rules.push(this.rate);
+	}
+	for (var i_r = 0; i_r < rules.length; i_r++) {
 		// Make a copy of the Rule's expression syntax tree so we can overwrite
 		// variables and parameters with the Interaction's arguments.  In effect,
 		// this instantiates the Interaction
@@ -342,8 +961,8 @@ function Interaction(base, v_args, p_args) {
 		var nodes = [];
 		
 		// Filter SymbolNodes out of the syntax tree
-		if (this.rules[r_id].expression) {
-			var nodes = this.rules[r_id].expression.filter(function (node) { 
+		if (rules[i_r].expression) {
+			var nodes = rules[i_r].expression.filter(function (node) { 
 				return (node.type == 'SymbolNode') 
 			});
 
@@ -433,6 +1052,14 @@ function Simulation(system, solution) {
 	}
 		
 	this.real_time_simulation = null;
+
+	/**
+	The largest drift of each conservation law during the simulation, an array of objects with 
+	the fields expression, total and drift.  Null unless System.simulate was asked to check 
+	conservation laws.
+	@property {Array} conservation
+	*/
+	this.conservation = null;
 			
 	/**
 	Concatenate trajectories from two simulation objects. 
@@ -468,7 +1095,7 @@ function Simulation(system, solution) {
 		var concatenated_time = this.time.concat(
 			other_simulation.time.map(function(t) {return t + tf;} ));
 		
-		concatenated_simulation = new Simulation(null, null);
+		var concatenated_simulation = new Simulation(null, null);
 		concatenated_simulation.time = concatenated_time;
 		concatenated_simulation.trajectory = concatenated_trajectory;
 		return concatenated_simulation;
@@ -519,8 +1146,35 @@ function Simulation(system, solution) {
 
 		// Simulate for one time step
 		var t_step = config.refresh_rate / 1000 * config.t_scale;  // in units of seconds
-		var solution = numeric.dopri(0,t_step,initial_values,system.dY,1e-6,10000, function() {return -1}, [
-				system]);
+		var t_offset = this.time[this.time.length-1];
+		// Delayed values are looked up in a history of states that is kept apart from the 
+		// trajectories, which are trimmed to config.buffer_size for plotting.  The history is 
+		// built once and then extended every step, and reaches back at least the longest delay
+		var history = null;
+		if (system.delays.length) {
+			if (!this.delay_history) {
+				var trajectories = [];
+				for (var id_tr in this.trajectory) {
+					trajectories.push(this.trajectory[id_tr]);
+				}
+				this.delay_history = { x: this.time.slice(), y: numeric.transpose(trajectories) };
+			}
+			history = this.delay_history;
+		}
+		var solution = system.integrate(t_offset, t_offset + t_step, initial_values, history);
+		if (history) {
+			history.x = history.x.concat(solution.x.slice(1));
+			history.y = history.y.concat(solution.y.slice(1));
+			var scope = system.getScope(t_offset + t_step, history.y[history.y.length-1]);
+			var max_delay = Math.max.apply(null, system.delays.map(function(tau) { return tau.eval(scope); }));
+			// Keep the last time point at or before the longest delay, to interpolate from
+			var i_t = 0;
+			while (i_t < history.x.length - 1 && history.x[i_t+1] <= t_offset + t_step - max_delay) {
+				i_t++;
+			}
+			history.x = history.x.slice(i_t);
+			history.y = history.y.slice(i_t);
+		}
 		
 		// Update the Simulation object's state trajectory
 		var y = numeric.transpose(solution.y)
@@ -534,8 +1188,7 @@ function Simulation(system, solution) {
 		//}
 		
 		// Update the time vector
-		var t_offset = this.time[this.time.length-1];
-		this.time = this.time.concat(solution.x.map(function(t) { return t + t_offset; }));
+		this.time = this.time.concat(solution.x);
 		
 		// If the state history exceeds the buffer, remove stale
 		// part of the history
@@ -564,47 +1217,264 @@ function Simulation(system, solution) {
 }
 
 /**
-A Config object contains configuration options for real-time animation.
-@class Config
+A SystemEvent changes the state of a System when its trigger condition becomes true during a
+simulation, for example a meal, a dose or an intervention.  The trigger is a comparison such 
+as 't >= 30' or 'G < 0.5' that may reference the time t, Species and Parameters.  The event 
+fires each time the trigger changes from false to true; it does not fire if the trigger is 
+already true when the simulation starts.
+@class SystemEvent
 @constructor
+@param {String} trigger A comparison using one of the operators <, <=, >, >=
+@param {Object} assign Maps Species and Parameter identifiers to their new value, a Number
+or an expression evaluated at the time the event fires, eg {cake: 'cake + 0.1', beta: 2}
 */
-function Config() {
-	this.current_state = [];
-	this.initial_state = [];
-	this.state_history = {};  // trajectories of 1 or more state variables
-	this.t_plus = [0];
-	this.t_minus = [0];
-	this.run_time = 10000; // maximum animation time in milliseconds
-	this.fps = 80;
-	this.refresh_rate = 1/this.fps * 1000;   // milliseconds
-	this.buffer_size = 10;  // simulation time
-	//this.t_scale = 10;  // 1 second of clock time corresponds to 10 seconds simulation time
-	this.t_scale = 5;  // 1 second of clock time corresponds to 5 seconds simulation time
-}
-
-/**
-System is the main class.  A System may represent a biochemical system or an ecological system that
-can be simulated.
-@class System
-*/
-var System = {
+function SystemEvent(trigger, assign) {
 	/**
-	Configuration options for simulation and real-time animation.
-	@property {Config} config
-	*/
-	config: new Config(),	
-	
-	/**
-	Species objects belonging to a System may be referenced by name through the System.species property.
-	@property {Object} species
+	The trigger condition
+	@property {String} trigger
 	*/
-	species: {},
+	this.trigger = trigger;
 
 	/**
-	Rule objects belonging to a System may be referenced by name through the System.rules property.
-	@property {Object} rules
+	Maps Species and Parameter identifiers to their new values
+	@property {Object} assign
 	*/
-	rules: {},
+	this.assign = assign || {};
+
+	// The integrator locates events where a function changes sign from negative to positive,
+	// so the comparison is rewritten as the difference of its two sides
+	var node = math.parse(trigger);
+	var comparisons = { larger: 1, largerEq: 1, smaller: -1, smallerEq: -1 };
+	if (node.type != 'OperatorNode' || !(node.fn in comparisons)) {
+		throw new Error('addEvent: trigger ' + trigger + ' must be a comparison using <, <=, > or >=');
+	}
+	var args = (comparisons[node.fn] == 1) ? node.args : node.args.slice().reverse();
+	var difference = new math.expression.node.OperatorNode('-', 'subtract', args).compile(math);
+
+	var assignments = {};
+	for (var id in this.assign) {
+		assignments[id] = math.compile(String(this.assign[id]));
+	}
+
+	/**
+	The event function used by the integrator.  It changes sign from negative to positive when 
+	the trigger becomes true.
+	@method value
+	@private
+	@param {Object} scope Maps t and the System identifiers to their current values
+	@return {Number} 
+	*/
+	this.value = function(scope) {
+		return difference.eval(scope);
+	}
+
+	/**
+	Evaluate the new values assigned by this event.
+	@method evaluate
+	@private
+	@param {Object} scope Maps t and the System identifiers to their values when the event fires
+	@return {Object} Maps Species and Parameter identifiers to their new values
+	*/
+	this.evaluate = function(scope) {
+		var values = {};
+		for (var id in assignments) {
+			values[id] = assignments[id].eval(scope);
+		}
+		return values;
+	}
+}
+
+/**
+A DosingSchedule adds a Species to a System from the outside on a schedule, for example
+meals or insulin doses.  Three kinds of schedule are supported:
+ - bolus: {type: 'bolus', amount: 0.1, start: 0, every: 8, times: 3} adds amount to the 
+ Species at start, then every 'every' time units, 'times' times in total (default once)
+ - infusion: {type: 'infusion', rate: 0.01, start: 10, stop: 20} adds the Species at a constant 
+ rate from start until stop
+ - list: {type: 'list', doses: [[5, 0.1], [12, 0.2]]} adds each amount at its time
+Times and amounts must be numbers, every must be positive and stop may not be before start.
+Doses are scheduled in simulation time.  A dose is given when the simulation passes its time,
+in simulate and in simulate_in_real_time.
+@class DosingSchedule
+@constructor
+@param {String} species The identifier of the dosed Species
+@param {Object} schedule The schedule, see above
+*/
+function DosingSchedule(species, schedule) {
+	/**
+	The identifier of the dosed Species
+	@property {String} species
+	*/
+	this.species = species;
+
+	/**
+	The schedule options, as passed to the constructor
+	@property {Object} schedule
+	*/
+	this.schedule = schedule;
+
+	if (['bolus', 'infusion', 'list'].indexOf(schedule.type) == -1) {
+		throw new Error('addDosingSchedule: unknown schedule type ' + schedule.type);
+	}
+	// A missing or misspelled field would otherwise give NaN doses or no doses at all
+	var isNumber = function(value) { return typeof value === 'number' && !isNaN(value); };
+	var required = { bolus: 'amount', infusion: 'rate' }[schedule.type];
+	if (required && !isNumber(schedule[required])) {
+		throw new Error('addDosingSchedule: a ' + schedule.type + ' schedule for ' + species + 
+			' needs a numeric ' + required + ', got ' + JSON.stringify(schedule[required]));
+	}
+	['start', 'stop', 'every', 'times'].forEach(function(field) {
+		if (schedule[field] !== undefined && !isNumber(schedule[field])) {
+			throw new Error('addDosingSchedule: ' + field + ' must be a number, got ' + JSON.stringify(schedule[field]));
+		}
+	});
+	if (schedule.stop !== undefined && schedule.stop < (schedule.start || 0)) {
+		throw new Error('addDosingSchedule: stop, ' + schedule.stop + ', is before start, ' + 
+			(schedule.start || 0));
+	}
+	if (schedule.every !== undefined && schedule.every <= 0) {
+		throw new Error('addDosingSchedule: every must be positive, got ' + schedule.every);
+	}
+	if (schedule.type == 'list' && !(Array.isArray(schedule.doses) && schedule.doses.every(function(dose) {
+			return Array.isArray(dose) && dose.length == 2 && isNumber(dose[0]) && isNumber(dose[1]);
+		}))) {
+		throw new Error('addDosingSchedule: a list schedule for ' + species + 
+			' needs doses, an array of [time, amount] pairs');
+	}
+
+	/**
+	List the boluses given in a time interval.
+	@method doses
+	@private
+	@param {Number} t0 The start of the interval, included
+	@param {Number} tf The end of the interval, excluded
+	@return {Array} An array of [time, amount] pairs
+	*/
+	this.doses = function(t0, tf) {
+		var doses = [];
+		if (schedule.type == 'bolus') {
+			var start = schedule.start || 0;
+			var times = (schedule.times === undefined) ? 1 : schedule.times;
+			for (var n = 0; n < times; n++) {
+				var t = start + n * (schedule.every || 0);
+				if (t >= tf || (n > 0 && !schedule.every)) {
+					break;
+				}
+				if (t >= t0) {
+					doses.push([t, schedule.amount]);
+				}
+			}
+		} else if (schedule.type == 'list') {
+			doses = schedule.doses.filter(function(dose) { return dose[0] >= t0 && dose[0] < tf; });
+		}
+		return doses;
+	}
+
+	/**
+	The rate of an infusion at a given time
+	@method rate
+	@private
+	@param {Number} t The time
+	@return {Number} The rate at which the Species is added, zero if not an infusion
+	*/
+	this.rate = function(t) {
+		if (schedule.type == 'infusion' && t >= (schedule.start || 0) && 
+				(schedule.stop === undefined || t < schedule.stop)) {
+			return schedule.rate;
+		}
+		return 0;
+	}
+
+	/**
+	List the times in an interval at which the schedule changes the System discontinuously.
+	The integrator is stopped at these times.
+	@method breakpoints
+	@private
+	@param {Number} t0 The start of the interval, included
+	@param {Number} tf The end of the interval, excluded
+	@return {Array} An array of times
+	*/
+	this.breakpoints = function(t0, tf) {
+		if (schedule.type == 'infusion') {
+			return [schedule.start || 0, schedule.stop].filter(function(t) {
+				return t !== undefined && t >= t0 && t < tf;
+			});
+		}
+		return this.doses(t0, tf).map(function(dose) { return dose[0]; });
+	}
+}
+
+/**
+A Config object contains configuration options for real-time animation.
+@class Config
+@constructor
+*/
+function Config() {
+	this.current_state = [];
+	this.initial_state = [];
+	this.state_history = {};  // trajectories of 1 or more state variables
+	this.t_plus = [0];
+	this.t_minus = [0];
+	this.run_time = 10000; // maximum animation time in milliseconds
+	this.fps = 80;
+	this.refresh_rate = 1/this.fps * 1000;   // milliseconds
+	this.buffer_size = 10;  // simulation time
+	//this.t_scale = 10;  // 1 second of clock time corresponds to 10 seconds simulation time
+	this.t_scale = 5;  // 1 second of clock time corresponds to 5 seconds simulation time
+}
+
+/**
+System is the main class.  A System may represent a biochemical system or an ecological system that
+can be simulated.  New Systems should be constructed with System.create, so that each
+one owns its Species, Parameters, Interactions and model.
+@class System
+*/
+var System = {
+	/**
+	Construct a new, independent System.  The new System inherits the System methods, but its
+	Species, Parameters, Interactions, compiled model and configuration are not shared
+	with any other System.
+	@method create
+	@static
+	@return {System} A new, empty System
+	*/
+	create: function() {
+		var system = Object.create(System);
+		system.config = new Config();
+		system.species = {};
+		system.rules = {};
+		system.parameters = {};
+		system.compartments = {};
+		system.interactions = {};
+		system._interactions = [];
+		system.events = [];
+		system.dosing = [];
+		system.delays = [];
+		system.channels = [];
+		system.symbol_table = [];
+		system.time_unit = null;
+		system.model = [];
+		system.parser = math.parser();
+		return system;
+	},
+
+	/**
+	Configuration options for simulation and real-time animation.
+	@property {Config} config
+	*/
+	config: new Config(),	
+	
+	/**
+	Species objects belonging to a System may be referenced by name through the System.species property.
+	@property {Object} species
+	*/
+	species: {},
+
+	/**
+	Rule objects belonging to a System may be referenced by name through the System.rules property.
+	@property {Object} rules
+	*/
+	rules: {},
 
 	/**
 	Parameter objects belonging to a System may be referenced by name through the System.rules property.
@@ -612,6 +1482,13 @@ var System = {
 	*/
 	parameters: {},
 
+	/**
+	Compartment objects belonging to a System may be referenced by name through the 
+	System.compartments property.
+	@property {Object} compartments
+	*/
+	compartments: {},
+
 	/**
 	Interaction objects belonging to a System may be referenced by name through the System.interactions property.
 	@property {Object} interactions
@@ -624,6 +1501,32 @@ var System = {
 	@private
 	*/
 	_interactions: [],
+
+	/**
+	SystemEvents that change the state of the System during a simulation, see addEvent
+	@property {Array} events
+	*/
+	events: [],
+
+	/**
+	DosingSchedules that add Species to the System during a simulation, see addDosingSchedule
+	@property {Array} dosing
+	*/
+	dosing: [],
+
+	/**
+	Compiled time delays of the delay(S, tau) calls in the rate laws, see compile
+	@property {Array} delays
+	@private
+	*/
+	delays: [],
+
+	/**
+	Reaction channels used by stochastic simulation, built by compile
+	@property {Array} channels
+	@private
+	*/
+	channels: [],
 	
 	/**
 	The symbol_table is used internally to map Species objects to their respective state variables 
@@ -633,6 +1536,12 @@ var System = {
 	*/
 	symbol_table: [],
 
+	/**
+	The unit of time, eg 'min'.  Used to check the units of rate laws, see validate
+	@property {String} time_unit
+	*/
+	time_unit: null,
+
 	/**
 	Compiled rate_law expressions for each Species.  Each array element contains a mathematical
 	expression that has been compiled using the mathjs library.
@@ -658,10 +1567,21 @@ var System = {
 	the parent System
 	@param {Number} initial_value The initial number or quantity of this Species present in the System
 	@param {String} name The full, descriptive name for the Species
+	@param {String} [compartment] The identifier of a Compartment, see addCompartment.  The value
+	of a Species in a Compartment is its concentration, and the Rules and reaction rates that 
+	change it give the change in its amount per unit time, which is divided by the volume.  The 
+	value of a Species without a Compartment is changed by its Rules directly.
+	@param {String} [unit] The unit of the Species' value, eg 'mmol/L', see validate
 	*/
-	addSpecies: function(identifier, initial_value, name) {
+	addSpecies: function(identifier, initial_value, name, compartment, unit) {
+		if (compartment && !(compartment in this.compartments)) {
+			throw new Error('addSpecies: ' + compartment + ' is not a Compartment in the System');
+		}
+		if (unit) {
+			parseUnit(unit);
+		}
 		// Create new Species and register it in the System
-		this.species[identifier] = new Species(initial_value, name);
+		this.species[identifier] = new Species(initial_value, name, compartment, unit);
 		this.model[Object.keys(this.species).length-1] = null;
 		console.log(Object.keys(this.species).length, this.model);
 
@@ -696,11 +1616,74 @@ var System = {
 	in the parent System.
 	@param {Number} value A constant value for this Parameter
 	@param {String} name A full, descriptive name for the new Parameter
+	@param {Object|String} [metadata] An object with any of the fields unit (eg '1/min', see 
+	validate), min, max, step, scale ('linear' or 'log') and description, which are used by 
+	controls and fitting, eg {unit: '1/min', min: 0.01, max: 10, scale: 'log'}.  A String is 
+	taken to be the unit.  Adding a Parameter that already exists replaces it.
 	*/
-	addParameter: function(identifier, value, name) {
-		this.parameters[identifier] = new Parameter(value, name);
+	addParameter: function(identifier, value, name, metadata) {
+		if (typeof metadata === 'string') {
+			metadata = { unit: metadata };
+		}
+		metadata = metadata || {};
+		if (metadata.unit) {
+			parseUnit(metadata.unit);
+		}
+		if (metadata.min != null && metadata.max != null && metadata.min > metadata.max) {
+			throw new Error('addParameter: the min of ' + identifier + ' is larger than its max');
+		}
+		if (metadata.scale && metadata.scale != 'linear' && metadata.scale != 'log') {
+			throw new Error('addParameter: the scale of ' + identifier + ' must be linear or log, got ' + 
+				metadata.scale);
+		}
+		if (metadata.scale == 'log' && !(value > 0 && (metadata.min == null || metadata.min > 0))) {
+			throw new Error('addParameter: ' + identifier + ' has a log scale, so its value and min must be positive');
+		}
+		if ((metadata.min != null && value < metadata.min) || (metadata.max != null && value > metadata.max)) {
+			throw new Error('addParameter: the value of ' + identifier + ', ' + value + 
+				', is outside of its range [' + 
+				(metadata.min == null ? -Infinity : metadata.min) + ', ' + 
+				(metadata.max == null ? Infinity : metadata.max) + ']');
+		}
+		this.parameters[identifier] = new Parameter(value, name, metadata);
 		this.parser.eval(identifier + '=' + value);
 	},
+
+	/**
+	Auto-construct a new Compartment and register it in the System.  Species are placed in the
+	Compartment with addSpecies.  Transport between Compartments is written as a change in amount,
+	eg a Rule k*G_gut*V_gut for glucose absorbed from the gut.  This is divided by the volume 
+	of each Species' Compartment, so the concentration in the smaller Compartment changes faster.
+	@method addCompartment
+	@param {String} identifier A short-hand symbol used to reference the Compartment
+	@param {Number|String} volume Either the volume, which is added as a new Parameter with the same 
+	identifier as the Compartment, or the identifier of an existing Parameter that holds the volume
+	@param {String} [name] The full, descriptive name for the Compartment
+	@param {String} [unit] The unit of a new volume Parameter, eg 'L'
+	*/
+	addCompartment: function(identifier, volume, name, unit) {
+		if (typeof volume === 'number') {
+			this.addParameter(identifier, volume, name, unit);
+			volume = identifier;
+		} else if (!(volume in this.parameters)) {
+			throw new Error('addCompartment: ' + volume + ' is not a Parameter in the System');
+		}
+		this.compartments[identifier] = new Compartment(volume, name);
+	},
+
+	/**
+	Getter for the current volume of the Compartment that contains a Species
+	@method volume
+	@param {String} s_id The Species identifier
+	@return {Number} The volume, or 1 if the Species is not in a Compartment
+	*/
+	volume: function(s_id) {
+		var compartment = this.species[s_id].compartment;
+		if (!compartment) {
+			return 1;
+		}
+		return this.parameters[this.compartments[compartment].volume].value;
+	},
 	
 	// // Deprecated
 	// addRule:  function(identifier, expression, name) {
@@ -712,14 +1695,67 @@ var System = {
 	Define a new Interaction definition and register the definition in the System.
 	@method defineInteraction
 	@constructor
-	@param {String} identifier A short-hand symbol or identifier used in mathematical expressions that
-	define the mathematical Rules that describe this dynamic System.  The identifier is also used 
-	to reference the new Parameter object in the parent System.
-	@param {Number} initial_value The initial number or quantity of this Species present in the System
-	@param {String} name The full, descriptive name for the Interaction
+	@param {String} name The name used to reference the Interaction definition in the parent System
+	@param {Array} species The local variables of the Interaction.  A Rule is created for each one.
+	@param {Array|Object} [parameters] The local parameters of the Interaction, with optional default
+	values and descriptions, eg {k: {value: 0.1, name: 'decay rate'}}.  If omitted, every symbol 
+	in the Rules that isn't a variable or modifier is a parameter.  See InteractionDefinition.parameter_definitions
+	@param {Array} [modifiers] Local symbols for Species that are read by the Rules but not changed by
+	the Interaction, eg an enzyme.  Modifiers contribute no term to their Species' rate law.
 	*/
-	defineInteraction:  function(name, species) {
-		this.interactions[name] = new InteractionDefinition(this, name, species);
+	defineInteraction:  function(name, species, parameters, modifiers) {
+		this.interactions[name] = new InteractionDefinition(this, name, species, parameters, modifiers);
+	},
+
+	/**
+	Define a new Interaction as a reaction, eg S.defineReaction('binding', 'E + S -> C', 'k*E*S').
+	Instead of one Rule per Species, the reaction has a single rate.  When the System is compiled,
+	each Species' rate law gets the rate times the Species' net stoichiometric coefficient, so 
+	'E + S -> C' decreases E and S and increases C at the rate k*E*S.  The reaction is 
+	instantiated with addInteraction like any other Interaction.
+	@method defineReaction
+	@param {String} name The name used to reference the Interaction definition in the parent System
+	@param {String} equation The reactants and products with optional integer coefficients, 
+	separated by '->', eg '2 A + B -> C'.  Either side may be empty or '0' for a source or a sink.
+	The reactants and products become the local variables of the Interaction.
+	@param {String} rate A mathematical expression for the rate of the reaction
+	@param {Array|Object} [parameters] The local parameters of the Interaction, see defineInteraction
+	@param {Array} [modifiers] Local symbols for Species that are read by the rate but are neither 
+	reactants nor products, see defineInteraction
+	*/
+	defineReaction: function(name, equation, rate, parameters, modifiers) {
+		var sides = equation.split('->');
+		if (sides.length != 2) {
+			throw new Error('defineReaction: ' + equation + ' must have the form reactants -> products');
+		}
+		var species = [];
+		var stoichiometry = {};
+		for (var i_side = 0; i_side < 2; i_side++) {
+			var side = sides[i_side].trim();
+			if (side == '' || side == '0') {
+				continue;
+			}
+			var participants = side.split('+');
+			for (var i_p = 0; i_p < participants.length; i_p++) {
+				var match = /^\s*(\d*)\s*\*?\s*([A-Za-z_]\w*)\s*$/.exec(participants[i_p]);
+				if (!match) {
+					throw new Error('defineReaction: cannot read ' + participants[i_p].trim() + 
+						' in ' + equation);
+				}
+				var coefficient = match[1] ? parseInt(match[1]) : 1;
+				if (species.indexOf(match[2]) == -1) {
+					species.push(match[2]);
+					stoichiometry[match[2]] = 0;
+				}
+				stoichiometry[match[2]] += (i_side == 0) ? -coefficient : coefficient;
+			}
+		}
+		var definition = new InteractionDefinition(this, name, species, parameters, modifiers);
+		definition.stoichiometry = stoichiometry;
+		definition.rate = new Rule();
+		definition.rate.set(rate);
+		definition.equation = equation;
+		this.interactions[name] = definition;
 	},
 		
 	/**
@@ -735,15 +1771,63 @@ var System = {
 	@param {Array} p_args An array of Parameter identifiers.  This array specifies which 
 	Parameter identifiers to substitute in for the local parameters used by this Interaction
 	This allows one to pass in global system parameters.
+	Instead of the positional v_args and p_args, the Species and Parameters may be bound by name
+	with a single object, eg 
+	S.addInteraction('predator-prey', {variables: {prey: 'hare', predator: 'fox'}, parameters: {k: 'beta', e: 'gamma'}})
+	A parameter with a default value may be omitted (or passed as null).  A new System Parameter is 
+	then added with the default value, named after the local parameter symbol, with a suffix such
+	as _2 if that identifier is already taken by a Species, Parameter or Compartment.
+	@param {Array} [m_args] An array of Species identifiers to substitute in for the modifiers
+	of the Interaction.  In the named form, modifiers are bound with the modifiers field.
+	@throws {InteractionError} If the arguments don't match the Interaction definition.  The
+	Interaction is not added to the System in that case.
 	*/
-	addInteraction: function(id, v_args, p_args) {
+	addInteraction: function(id, v_args, p_args, m_args) {
 		var base_definition = this.interactions[id];
-		var i = new Interaction(base_definition, v_args, p_args);
+		if (!base_definition) {
+			throw new InteractionError('UNKNOWN_INTERACTION', 'addInteraction: ' + id + 
+				' is not a defined Interaction', id, null);
+		}
+		if (!Array.isArray(v_args)) {
+			var args = base_definition.bind(v_args);
+			v_args = args.v_args;
+			p_args = args.p_args;
+			m_args = args.m_args;
+		}
+
+		// Register a System Parameter for each omitted parameter that has a default value
+		var p_ids = base_definition.parameters();
+		var default_parameters = [];
+		p_args = (p_args || []).slice();
+		for (var i_p = 0; i_p < p_ids.length; i_p++) {
+			var default_value = base_definition.defaultValue(p_ids[i_p]);
+			if (p_args[i_p] == null && default_value != null) {
+				// The new Parameter must not shadow a Species, Compartment or the time t
+				var p_id = p_ids[i_p];
+				for (var n = 2; p_id == 't' || p_id in this.parameters || p_id in this.species ||
+						p_id in this.compartments; n++) {
+					p_id = p_ids[i_p] + '_' + n;
+				}
+				this.addParameter(p_id, default_value, base_definition.parameter_definitions[p_ids[i_p]].name);
+				p_args[i_p] = p_id;
+				default_parameters.push(p_id);
+			}
+		}
+		try {
+			var i = new Interaction(base_definition, v_args, p_args, m_args);
+		} catch (error) {
+			// Don't leave default Parameters behind for an Interaction that was never added
+			for (var i_p = 0; i_p < default_parameters.length; i_p++) {
+				delete this.parameters[default_parameters[i_p]];
+				this.parser.remove(default_parameters[i_p]);
+			}
+			throw error;
+		}
 		this._interactions.push( i );
 	},
 
 	/**
-	Remove all Interaction instances with the participant Species specified in the argument
+	Remove all Interaction instances with the participant or modifier Species specified in the argument
 	@method removeInteractionsBySpecies
 	@param {Array} identifiers Identifiers for Species used to target the Interaction instances
 	for removal
@@ -758,7 +1842,8 @@ var System = {
 			// interactions
 			for (i__int=this._interactions.length-1; i__int >= 0; i__int--) {
 				var interaction = this._interactions[i__int];
-				if (interaction.variables().indexOf(target_id) != -1) {
+				if (interaction.variables().indexOf(target_id) != -1 ||
+						interaction.modifiers().indexOf(target_id) != -1) {
 					this._interactions.splice(i__int, 1);
 				}
 			}
@@ -780,20 +1865,206 @@ var System = {
 		}
 	},
 	
+	/**
+	Add an event that changes Species or Parameters when its trigger becomes true during a 
+	simulation.  When the event fires, integration stops at the time the trigger crossed, the 
+	assignments are applied, and integration restarts from the new state.  Assignments to 
+	Parameters only last until the end of a simulation: simulate restores the Parameter values it
+	started with, so every run starts from the same Parameters.  A real-time simulation has no
+	end, so its assignments stay in System.parameters while it runs and after it is stopped.
+	Ex: S.addEvent({trigger: 't >= 30', assign: {cake: 'cake + 0.1', beta: 2}})
+	@method addEvent
+	@param {Object} event An object with the fields trigger and assign, see SystemEvent
+	@return {SystemEvent} The new event
+	*/
+	addEvent: function(event) {
+		for (var id in event.assign) {
+			if (!(id in this.species) && !(id in this.parameters)) {
+				throw new Error('addEvent: ' + id + ' is neither a Species nor a Parameter');
+			}
+		}
+		var system_event = new SystemEvent(event.trigger, event.assign);
+		this.events.push(system_event);
+		return system_event;
+	},
+
+	/**
+	Attach a dosing schedule to a Species, eg
+	S.addDosingSchedule('cake', {type: 'bolus', amount: 0.1, start: 5, every: 24, times: 3})
+	@method addDosingSchedule
+	@param {String} species The identifier of the dosed Species
+	@param {Object} schedule The schedule, see DosingSchedule
+	@return {DosingSchedule} The new schedule
+	*/
+	addDosingSchedule: function(species, schedule) {
+		if (!(species in this.species)) {
+			throw new Error('addDosingSchedule: ' + species + ' is not a Species in the System');
+		}
+		var dosing_schedule = new DosingSchedule(species, schedule);
+		this.dosing.push(dosing_schedule);
+		return dosing_schedule;
+	},
+
+	/**
+	Serialize the System model into a plain object that can be passed to JSON.stringify.
+	Species, Parameters, InteractionDefinitions with their Rule expressions, and every
+	Interaction instance with its arguments are saved.  Simulation results are not.
+	@method toJSON
+	@return {Object} A plain object describing the System model
+	*/
+	toJSON: function() {
+		var json = {
+			species: {},
+			parameters: {},
+			compartments: {},
+			interactions: {},
+			_interactions: [],
+			events: [],
+			dosing: [],
+			time_unit: this.time_unit
+		};
+		for (var sp in this.species) {
+			json.species[sp] = {
+				initial_value: this.species[sp].initial_value,
+				name: this.species[sp].name,
+				compartment: this.species[sp].compartment,
+				unit: this.species[sp].unit
+			};
+		}
+		for (var p in this.parameters) {
+			var parameter = this.parameters[p];
+			json.parameters[p] = {
+				value: parameter.value,
+				name: parameter.name,
+				unit: parameter.unit,
+				min: parameter.min,
+				max: parameter.max,
+				step: parameter.step,
+				scale: parameter.scale,
+				description: parameter.description
+			};
+		}
+		for (var c in this.compartments) {
+			json.compartments[c] = {
+				volume: this.compartments[c].volume,
+				name: this.compartments[c].name
+			};
+		}
+		for (var id in this.interactions) {
+			var definition = this.interactions[id];
+			var rules = {};
+			for (var r_id in definition.rules) {
+				var rule = definition.rules[r_id];
+				rules[r_id] = {
+					expression: rule.expression ? rule.expression.toString() : null,
+					name: rule.name
+				};
+			}
+			json.interactions[id] = {
+				species: definition.variables(),
+				parameters: definition.parameter_definitions,
+				modifiers: definition.modifiers(),
+				rules: rules
+			};
+			if (definition.rate) {
+				json.interactions[id].equation = definition.equation;
+				json.interactions[id].rate = definition.rate.expression.toString();
+			}
+		}
+		for (var i_int = 0; i_int < this._interactions.length; i_int++) {
+			var interaction = this._interactions[i_int];
+			json._interactions.push({
+				name: interaction.name,
+				v_args: interaction.v_args,
+				p_args: interaction.p_args,
+				m_args: interaction.m_args
+			});
+		}
+		for (var i_ev = 0; i_ev < this.events.length; i_ev++) {
+			json.events.push({
+				trigger: this.events[i_ev].trigger,
+				assign: this.events[i_ev].assign
+			});
+		}
+		for (var i_d = 0; i_d < this.dosing.length; i_d++) {
+			json.dosing.push({
+				species: this.dosing[i_d].species,
+				schedule: this.dosing[i_d].schedule
+			});
+		}
+		return json;
+	},
+
+	/**
+	Load a System model saved by toJSON.  The model is added to this System, so it is
+	normally called on an empty System, eg System.create().fromJSON(json)
+	@method fromJSON
+	@param {Object|String} json The object returned by toJSON, or its JSON string
+	@return {System} This System
+	*/
+	fromJSON: function(json) {
+		if (typeof json === 'string') {
+			json = JSON.parse(json);
+		}
+		for (var p in json.parameters) {
+			this.addParameter(p, json.parameters[p].value, json.parameters[p].name, json.parameters[p]);
+		}
+		this.time_unit = json.time_unit || null;
+		for (var c in json.compartments) {
+			this.addCompartment(c, json.compartments[c].volume, json.compartments[c].name);
+		}
+		for (var sp in json.species) {
+			this.addSpecies(sp, json.species[sp].initial_value, json.species[sp].name, 
+				json.species[sp].compartment, json.species[sp].unit);
+		}
+		for (var id in json.interactions) {
+			var definition = json.interactions[id];
+			if (definition.rate != null) {
+				this.defineReaction(id, definition.equation, definition.rate, definition.parameters, definition.modifiers);
+				continue;
+			}
+			this.defineInteraction(id, definition.species, definition.parameters, definition.modifiers);
+			for (var r_id in definition.rules) {
+				var rule = definition.rules[r_id];
+				if (rule.expression != null) {
+					this.interactions[id].rules[r_id].set(rule.expression, rule.name);
+				}
+			}
+		}
+		for (var i_int = 0; i_int < json._interactions.length; i_int++) {
+			var interaction = json._interactions[i_int];
+			this.addInteraction(interaction.name, interaction.v_args, interaction.p_args, interaction.m_args);
+		}
+		for (var i_ev = 0; json.events && i_ev < json.events.length; i_ev++) {
+			this.addEvent(json.events[i_ev]);
+		}
+		for (var i_d = 0; json.dosing && i_d < json.dosing.length; i_d++) {
+			this.addDosingSchedule(json.dosing[i_d].species, json.dosing[i_d].schedule);
+		}
+		return this;
+	},
+
 	/**
 	Simulate the System model.
 	@method simulate
 	@param {Number} t0 The initial time
 	@param {Number} tf The final time
+	@param {Object} [options] An object with the optional field conservation_tolerance.  If it is
+	set, the conservation laws (see conservationLaws) are checked at every time point, and a
+	warning is logged for each law whose total drifts by more than the tolerance relative
+	to its initial total.  The largest drift of each law is saved in Simulation.conservation.
+	Parameters changed by SystemEvents during the simulation are restored afterwards.
 	*/
-	simulate: function(t0, tf) {
+	simulate: function(t0, tf, options) {
+		options = options || {};
+		var laws = (options.conservation_tolerance != null) ? this.conservationLaws() : [];
     	var initial_values = [];
 		var i_sp = 0;
+		this.delays = [];
 		for (var sp in this.species) {
 			// Compile the rate_law for this species and attach to the System.model field
 			if (this.species[sp].rate_law.expression != null) {
-				this.species[sp].rate_law.expression.toString();
-				this.model[i_sp] = this.species[sp].rate_law.expression.compile(math)
+				this.model[i_sp] = this.compileRateLaw(this.species[sp].rate_law.expression);
 			} else {
 				// @todo What to do if a rate law for a species has not been defined?
 				// @todo move to System constructor
@@ -817,26 +2088,566 @@ var System = {
 			//console.log('Substituted Rule:', r_id );
 			//this.interactions[name].rules[r_id].toString();
 		}
-		// Execute simulation
-		var solution = numeric.dopri(t0,tf,initial_values,this.dY,1e-6,10000, function() {return -1}, [
-		this]);
-		var simulation = new Simulation(Object.keys(this.species), solution);
-		console.log(simulation);
+		// Execute simulation.  SystemEvents may assign Parameters, which are restored afterwards
+		var saved = {};
+		for (var p in this.parameters) {
+			saved[p] = this.parameters[p].value;
+		}
+		try {
+			var solution = this.integrate(t0, tf, initial_values);
+		} finally {
+			for (var p in saved) {
+				this.parameters[p].set(saved[p]);
+				this.parser.eval(p + '=' + saved[p]);
+			}
+		}
+		var simulation = new Simulation(this, solution);
 		// Update the value of Species objects to their final value at end of simulation
 		for (var sp in this.species) {
-			console.log(sp);
 			this.species[sp].value = simulation.trajectory[sp][simulation.trajectory[sp].length-1];
 		}
+		// Drift in a conserved total points to integration or modeling errors
+		if (options.conservation_tolerance != null) {
+			simulation.conservation = laws.map(function(law) {
+				var drift = 0;
+				for (var i_t = 0; i_t < simulation.time.length; i_t++) {
+					var total = 0;
+					for (var sp in law.coefficients) {
+						total += law.coefficients[sp] * simulation.trajectory[sp][i_t] * this.volume(sp);
+					}
+					drift = Math.max(drift, Math.abs(total - law.total));
+				}
+				if (drift > options.conservation_tolerance * Math.max(Math.abs(law.total), 1)) {
+					console.log('simulate: ' + law.expression + ' should be conserved at ' + 
+						law.total + ' but drifted by ' + drift);
+				}
+				return { expression: law.expression, total: law.total, drift: drift };
+			}, this);
+		}
 		return simulation;
 		//return this.odeInt(initial_values, 0, 0.1, 100);
 	},
 	
+	/**
+	Check the System model for common modeling mistakes.  Errors are mistakes that
+	prevent the model from being simulated; warnings are suspicious but may be intended.
+	Each problem is an object with a code, a message, and the subject it refers to.
+	Errors:
+	 - UNKNOWN_SYMBOL: a symbol in an Interaction's Rule is neither a Species nor a Parameter
+	 - UNIT_MISMATCH: a term that an Interaction instance adds to a Species' rate law doesn't 
+	 have the units of the Species per unit of time.  The problem has an extra field interaction,
+	 the offending Interaction instance.  Terms are only checked if the Species and every 
+	 Parameter in the term have units.  If System.time_unit is not set, any unit of time is 
+	 accepted and only the dimensions are compared, eg mg/dL and g/L are not told apart.
+	Warnings:
+	 - UNUSED_PARAMETER: a Parameter is not referenced by any Interaction
+	 - NO_RATE_LAW: no Interaction or DosingSchedule changes this Species, so it stays constant
+	 - UNUSED_INTERACTION: an Interaction is defined but never added to the System
+	 - UNINITIALIZED_RULE: a Rule in an Interaction definition was never set
+	The report also lists the conservation laws of the model, see conservationLaws.
+	@method validate
+	@return {Object} A report with the fields errors and warnings, each an Array of problems,
+	and conservation_laws
+	*/
+	validate: function() {
+		var report = { errors: [], warnings: [], conservation_laws: this.conservationLaws() };
+		var system = this;
+		var time = { dimensions: DIMENSIONS.map(function(d) { return d == 'time' ? 1 : 0; }), scale: 1 };
+		if (this.time_unit) {
+			time = parseUnit(this.time_unit);
+		}
+		var lookup = function(symbol) {
+			var owner = system.species[symbol] || system.parameters[symbol];
+			if (owner) {
+				return owner.unit ? parseUnit(owner.unit) : null;
+			}
+			return (symbol == 't') ? time : null;
+		};
+		var used_parameters = {};
+		var changed_species = {};
+		var instantiated = {};
+
+		for (var i_int = 0; i_int < this._interactions.length; i_int++) {
+			var interaction = this._interactions[i_int];
+			instantiated[interaction.name] = true;
+			var terms = interaction.terms();
+			for (var r_id in terms) {
+				changed_species[r_id] = true;
+				if (!this.species[r_id] || !this.species[r_id].unit) {
+					continue;
+				}
+				// Each term should have the units of its Species per unit of time
+				var unit = parseUnit(this.species[r_id].unit);
+				var expected = { dimensions: unit.dimensions.map(function(d, i_d) { return d - time.dimensions[i_d]; }),
+					scale: unit.scale / time.scale };
+				var problems = [];
+				var units = unitDimensions(terms[r_id], lookup, problems);
+				if (units && !sameUnits(units, expected, !!this.time_unit)) {
+					problems.push('it has units ' + formatUnits(units) + ', expected ' + formatUnits(expected) + 
+						' (' + this.species[r_id].unit + ' per ' + (this.time_unit || 'time') + ')');
+				}
+				for (var i_pr = 0; i_pr < problems.length; i_pr++) {
+					report.errors.push({ code: 'UNIT_MISMATCH', subject: r_id, interaction: interaction,
+						message: 'validate: in the term ' + terms[r_id].toString() + ' that Interaction ' + 
+						interaction.name + '(' + interaction.v_args.join(', ') + ') adds to the rate law of ' +
+						r_id + ', ' + problems[i_pr] });
+				}
+			}
+			var expressions = Object.keys(terms).map(function(r_id) { return terms[r_id]; });
+			if (interaction.rate) {
+				expressions.push(interaction.rate.expression);
+			}
+			for (var i_e = 0; i_e < expressions.length; i_e++) {
+				var symbols = expressions[i_e].filter(function(node) { return node.type == 'SymbolNode'; });
+				for (var i_s = 0; i_s < symbols.length; i_s++) {
+					var symbol = symbols[i_s].name;
+					if (symbol in this.parameters) {
+						used_parameters[symbol] = true;
+					} else if (!(symbol in this.species) && !(symbol in math)) {
+						report.errors.push({ code: 'UNKNOWN_SYMBOL', subject: symbol,
+							message: 'validate: ' + symbol + ' in ' + interaction.name + 
+							' is neither a Species nor a Parameter' });
+					}
+				}
+			}
+		}
+
+		for (var sp in this.species) {
+			if (changed_species[sp] && this.species[sp].compartment) {
+				used_parameters[this.compartments[this.species[sp].compartment].volume] = true;
+			}
+		}
+		for (var p in this.parameters) {
+			if (!used_parameters[p]) {
+				report.warnings.push({ code: 'UNUSED_PARAMETER', subject: p,
+					message: 'validate: Parameter ' + p + ' is never used' });
+			}
+		}
+		for (var i_d = 0; i_d < this.dosing.length; i_d++) {
+			changed_species[this.dosing[i_d].species] = true;
+		}
+		for (var sp in this.species) {
+			if (!changed_species[sp]) {
+				report.warnings.push({ code: 'NO_RATE_LAW', subject: sp,
+					message: 'validate: Species ' + sp + ' has no rate law and will stay constant' });
+			}
+		}
+		for (var id in this.interactions) {
+			if (!instantiated[id]) {
+				report.warnings.push({ code: 'UNUSED_INTERACTION', subject: id,
+					message: 'validate: Interaction ' + id + ' is defined but never added' });
+			}
+			for (var r_id in this.interactions[id].rules) {
+				if (!this.interactions[id].rate && !this.interactions[id].rules[r_id].expression) {
+					report.warnings.push({ code: 'UNINITIALIZED_RULE', subject: id,
+						message: 'validate: Rule ' + r_id + ' in Interaction ' + id + ' is not set' });
+				}
+			}
+		}
+		return report;
+	},
+
+	/**
+	Integrate the compiled model from t0 to tf with numeric.dopri.  Doses from DosingSchedules 
+	are given at their scheduled times in [t0, tf), and infusions are added to the rates of change.
+	When a SystemEvent fires, integration stops at the event, the event's assignments are applied, 
+	and integration is restarted.  The state just before and just after a dose or an event are 
+	both included in the solution.
+	@method integrate
+	@private
+	@param {Number} t0 The initial time
+	@param {Number} tf The final time
+	@param {Array} initial_values The initial state, ordered like System.species
+	@param {Object} [history] The solution before t0, used to evaluate delay(S, tau).  If omitted,
+	Species are assumed to have had their initial values before t0.
+	@return {Object} The solution, with the time points in the field x and states in the field y,
+	like the object returned by numeric.dopri.  For a model with delays, the field segments holds
+	the numeric.dopri solutions that the solution is made of
+	*/
+	integrate: function(t0, tf, initial_values, history) {
+		var system = this;
+		var species_ids = Object.keys(this.species);
+		var solution = { x: [t0], y: [initial_values.slice()], segments: [] };
+		var lagged = null;
+
+		// The integrator is stopped wherever a DosingSchedule changes the System
+		var breakpoints = [t0, tf];
+		for (var i_d = 0; i_d < this.dosing.length; i_d++) {
+			breakpoints = breakpoints.concat(this.dosing[i_d].breakpoints(t0, tf));
+		}
+		// A model with delays is integrated by the method of steps.  The integrator is stopped 
+		// at least every shortest delay, so that delayed values are always taken from the part 
+		// of the solution that is already known
+		if (this.delays.length) {
+			var scope = this.getScope(t0, initial_values);
+			var min_delay = Math.min.apply(null, this.delays.map(function(tau) { return tau.eval(scope); }));
+			if (!(min_delay > 0)) {
+				throw new Error('simulate: time delays must be positive, got ' + min_delay);
+			}
+			for (var t = t0 + min_delay; t < tf; t += min_delay) {
+				breakpoints.push(t);
+			}
+			lagged = function(s_id, t) {
+				var source = (history && t < t0) ? history : solution;
+				return system.lagged(source, species_ids.indexOf(s_id), t);
+			};
+		}
+		breakpoints.sort(function(a, b) { return a - b; });
+		breakpoints = breakpoints.filter(function(t, i_t) { return i_t == 0 || t != breakpoints[i_t-1]; });
+
+		for (var i_b = 0; i_b < breakpoints.length - 1; i_b++) {
+			var t_start = breakpoints[i_b];
+			var t_end = breakpoints[i_b+1];
+
+			// Give the doses scheduled at the start of this interval
+			var y_start = solution.y[solution.y.length-1].slice();
+			var inputs = species_ids.map(function() { return 0; });
+			var dosed = false;
+			for (var i_d = 0; i_d < this.dosing.length; i_d++) {
+				var i_sp = species_ids.indexOf(this.dosing[i_d].species);
+				var doses = this.dosing[i_d].doses(t_start, t_end);
+				// Doses are amounts, which raise the concentration of a Species in a Compartment
+				// by the amount divided by the volume
+				var volume = this.volume(this.dosing[i_d].species);
+				for (var i_dose = 0; i_dose < doses.length; i_dose++) {
+					y_start[i_sp] += doses[i_dose][1] / volume;
+					dosed = true;
+				}
+				// Infusions are constant over the interval
+				inputs[i_sp] += this.dosing[i_d].rate(0.5 * (t_start + t_end)) / volume;
+			}
+			if (dosed) {
+				solution.x.push(t_start);
+				solution.y.push(y_start);
+			}
+			this.integrateEvents(t_start, t_end, inputs, solution, lagged);
+		}
+		return solution;
+	},
+
+	/**
+	Integrate the compiled model over an interval without doses, applying SystemEvents as they fire.
+	An event that keeps firing, eg because its assignment leaves its trigger at the threshold,
+	stops the simulation after 10000 events.
+	@method integrateEvents
+	@private
+	@param {Number} t0 The initial time
+	@param {Number} tf The final time
+	@param {Array} inputs Constant rates added to the rates of change of the Species
+	@param {Object} solution The solution so far, whose last state is the initial state.  The new
+	time points and states are appended to its fields x and y
+	@param {Function} lagged A function(s_id, t) that returns the value of a Species at an earlier
+	time, or null if the model has no delays
+	@throws {Error} If more than 10000 events fire in the interval
+	*/
+	integrateEvents: function(t0, tf, inputs, solution, lagged) {
+		var species_ids = Object.keys(this.species);
+		var y0 = solution.y[solution.y.length-1];
+		for (var n_events = 0; n_events <= 10000; n_events++) {
+			var segment = numeric.dopri(t0,tf,y0,this.dY,1e-6,10000, function() {return -1}, [this, inputs, lagged]);
+			var crossing = this.findEvent(segment);
+			// Delayed values are interpolated with the integrator's dense output, see lagged
+			if (lagged) {
+				solution.segments.push(segment);
+			}
+			// The first point of the segment is already in the solution
+			if (!crossing) {
+				solution.x = solution.x.concat(segment.x.slice(1));
+				solution.y = solution.y.concat(segment.y.slice(1));
+				return;
+			}
+			// Keep the segment up to the event
+			solution.x = solution.x.concat(segment.x.slice(1, crossing.index), [crossing.t]);
+			solution.y = solution.y.concat(segment.y.slice(1, crossing.index), [crossing.y]);
+
+			// Apply the assignments of every event that fired.  All new values are evaluated 
+			// before any of them is applied
+			t0 = crossing.t;
+			y0 = crossing.y.slice();
+			var scope = this.getScope(t0, y0);
+			var values = crossing.events.map(function(event) { return event.evaluate(scope); });
+			for (var i_v = 0; i_v < values.length; i_v++) {
+				for (var id in values[i_v]) {
+					if (id in this.species) {
+						y0[species_ids.indexOf(id)] = values[i_v][id];
+					} else {
+						this.parameters[id].set(values[i_v][id]);
+						this.parser.eval(id + '=' + values[i_v][id]);
+					}
+				}
+			}
+			solution.x.push(t0);
+			solution.y.push(y0);
+			if (t0 >= tf) {
+				return;
+			}
+		}
+		throw new Error('simulate: more than 10000 events, the trigger may be chattering');
+	},
+
+	/**
+	Find the first time in an integrator solution at which the trigger of a SystemEvent 
+	changes from false to true.  The crossing is located by bisection on the solution's 
+	dense output.
+	@method findEvent
+	@private
+	@param {numeric.Dopri} solution The object returned by numeric.dopri
+	@return {Object} null if no event fires, otherwise an object with the fields t (the event time),
+	y (the state at that time), index (the index of the first solution point after the event) and
+	events (the SystemEvents that fire)
+	*/
+	findEvent: function(solution) {
+		var system = this;
+		if (this.events.length == 0) {
+			return null;
+		}
+		var values = function(t, y) {
+			var scope = system.getScope(t, y);
+			return system.events.map(function(event) { return event.value(scope); });
+		};
+		var crossed = function(e_left, e_right) {
+			return system.events.filter(function(event, i_ev) { 
+				return e_left[i_ev] < 0 && e_right[i_ev] >= 0; 
+			});
+		};
+		var e_left = values(solution.x[0], solution.y[0]);
+		for (var i_x = 1; i_x < solution.x.length; i_x++) {
+			var e_right = values(solution.x[i_x], solution.y[i_x]);
+			if (crossed(e_left, e_right).length) {
+				var t_left = solution.x[i_x-1];
+				var t_right = solution.x[i_x];
+				var y_right = solution.y[i_x];
+				for (var it = 0; it < 100 && t_right - t_left > 1e-12 * Math.max(1, Math.abs(t_right)); it++) {
+					var t_mid = 0.5 * (t_left + t_right);
+					var y_mid = solution.at(t_mid);
+					var e_mid = values(t_mid, y_mid);
+					if (crossed(e_left, e_mid).length) {
+						t_right = t_mid;
+						y_right = y_mid;
+						e_right = e_mid;
+					} else {
+						t_left = t_mid;
+						e_left = e_mid;
+					}
+				}
+				return { t: t_right, y: y_right, index: i_x, events: crossed(e_left, e_right) };
+			}
+			e_left = e_right;
+		}
+		return null;
+	},
+
+	/**
+	List the reactions of the System, ie the columns of the stoichiometry matrix.  An Interaction 
+	instance defined with defineReaction is one reaction with its own stoichiometry.  An Interaction
+	defined by Rules is split into one reaction per Rule that is set, which changes the Rule's 
+	Species with stoichiometry 1 at the rate given by the Rule (the same split is used by 
+	simulateStochastic and toSBML).
+	@method reactions
+	@return {Array} An array with an object for each reaction, with the fields name (eg 
+	'binding' or 'predator-prey:fox'), interaction (the index of the Interaction instance in 
+	System._interactions), rate (the root Node of the rate expression) and stoichiometry (maps 
+	Species identifiers to their net stoichiometric coefficients)
+	*/
+	reactions: function() {
+		var reactions = [];
+		for (var i_int = 0; i_int < this._interactions.length; i_int++) {
+			var interaction = this._interactions[i_int];
+			if (interaction.stoichiometry) {
+				reactions.push({ name: interaction.name, interaction: i_int, 
+					rate: interaction.rate.expression, stoichiometry: interaction.stoichiometry });
+				continue;
+			}
+			for (var r_id in interaction.rules) {
+				if (interaction.rules[r_id].expression) {
+					var stoichiometry = {};
+					stoichiometry[r_id] = 1;
+					reactions.push({ name: interaction.name + ':' + r_id, interaction: i_int, 
+						rate: interaction.rules[r_id].expression, stoichiometry: stoichiometry });
+				}
+			}
+		}
+		return reactions;
+	},
+
+	/**
+	Build the stoichiometry matrix N of the System.  The reactions change amounts, so N times the
+	fluxes returned by fluxes is the rate of change of the amount of each Species.  For a
+	Species in a Compartment, its rate of change is that row divided by the volume (see volume)
+	@method stoichiometryMatrix
+	@return {Array} An array with a row for each Species, ordered like System.species, and a 
+	column for each reaction, ordered like the array returned by reactions
+	*/
+	stoichiometryMatrix: function() {
+		var reactions = this.reactions();
+		var matrix = [];
+		for (var sp in this.species) {
+			matrix.push(reactions.map(function(reaction) { return reaction.stoichiometry[sp] || 0; }));
+		}
+		return matrix;
+	},
+
+	/**
+	Evaluate the rate of each reaction.  Delayed values, delay(S, tau), are taken to be the
+	current values.
+	@method fluxes
+	@param {Array} [state] The Species values, ordered like System.species.  Defaults to the 
+	current values of the Species
+	@param {Number} [t] The time, 0 by default
+	@return {Array} The rate of each reaction, ordered like the array returned by reactions
+	*/
+	fluxes: function(state, t) {
+		if (!state) {
+			state = [];
+			for (var sp in this.species) {
+				state.push(this.species[sp].value);
+			}
+		}
+		var scope = this.getScope(t || 0, state);
+		scope.delay = function(value, tau) { return value; };
+		return this.reactions().map(function(reaction) {
+			return reaction.rate.compile(math).eval(scope);
+		});
+	},
+
+	/**
+	Find the conservation laws of the System, ie the weighted sums of Species that no reaction
+	changes, such as E + C for an enzyme E and its complex C.  The laws are a basis of the left 
+	null space of the stoichiometry matrix, scaled to integer coefficients.  Species that are 
+	dosed or assigned by a SystemEvent are not conserved, and Species that no reaction changes 
+	are left out.  Interactions defined by Rules change each Species independently (see 
+	reactions), so conservation laws are normally only found between reaction-style Interactions.
+	@method conservationLaws
+	@return {Array} An array with an object for each conservation law, with the fields 
+	coefficients (maps Species identifiers to integer weights), total (the current value of
+	the weighted sum) and expression (eg 'E + C').  The weights apply to amounts, so the 
+	concentration of a Species in a Compartment is multiplied by the volume (eg 'G*V_blood')
+	*/
+	conservationLaws: function() {
+		var species_ids = Object.keys(this.species);
+		var matrix = this.stoichiometryMatrix();
+		// Doses and events act like extra reactions that add to their Species
+		var inputs = this.dosing.map(function(schedule) { return schedule.species; });
+		for (var i_ev = 0; i_ev < this.events.length; i_ev++) {
+			inputs = inputs.concat(Object.keys(this.events[i_ev].assign));
+		}
+		for (var i_sp = 0; i_sp < species_ids.length; i_sp++) {
+			for (var i_in = 0; i_in < inputs.length; i_in++) {
+				matrix[i_sp].push(inputs[i_in] == species_ids[i_sp] ? 1 : 0);
+			}
+		}
+		var changed = species_ids.filter(function(sp, i_sp) { 
+			return matrix[i_sp].some(function(n) { return n != 0; }); 
+		});
+		matrix = matrix.filter(function(row) { return row.some(function(n) { return n != 0; }); });
+		if (!changed.length) {
+			return [];
+		}
+
+		// Reduce the transposed matrix to row echelon form with integer arithmetic, so that
+		// the coefficients of the laws are exact
+		var gcd = function(a, b) { return b ? gcd(b, a % b) : Math.abs(a); };
+		var rows = numeric.transpose(matrix);
+		var pivots = [];
+		for (var col = changed.length - 1; col >= 0 && pivots.length < rows.length; col--) {
+			var r = pivots.length;
+			var i_pivot = r;
+			while (i_pivot < rows.length && rows[i_pivot][col] == 0) {
+				i_pivot++;
+			}
+			if (i_pivot == rows.length) {
+				continue;
+			}
+			var swap = rows[r];
+			rows[r] = rows[i_pivot];
+			rows[i_pivot] = swap;
+			for (var i_row = 0; i_row < rows.length; i_row++) {
+				if (i_row != r && rows[i_row][col] != 0) {
+					var factor = rows[i_row][col];
+					var pivot = rows[r][col];
+					rows[i_row] = rows[i_row].map(function(n, i_n) { return n * pivot - rows[r][i_n] * factor; });
+					var divisor = rows[i_row].reduce(gcd, 0);
+					if (divisor > 1) {
+						rows[i_row] = rows[i_row].map(function(n) { return n / divisor; });
+					}
+				}
+			}
+			pivots.push(col);
+		}
+
+		// Each Species that isn't a pivot gives one law
+		var laws = [];
+		for (var free = 0; free < changed.length; free++) {
+			if (pivots.indexOf(free) != -1) {
+				continue;
+			}
+			var weights = changed.map(function() { return 0; });
+			var scale = pivots.reduce(function(lcm, col, r) { 
+				var pivot = Math.abs(rows[r][col]);
+				return lcm * pivot / gcd(lcm, pivot);
+			}, 1);
+			weights[free] = scale;
+			for (var r = 0; r < pivots.length; r++) {
+				weights[pivots[r]] = -rows[r][free] * scale / rows[r][pivots[r]];
+			}
+			var divisor = weights.reduce(gcd, 0);
+			var law = { coefficients: {}, total: 0, expression: '' };
+			for (var i_w = 0; i_w < weights.length; i_w++) {
+				var weight = weights[i_w] / divisor;
+				if (weight == 0) {
+					continue;
+				}
+				law.coefficients[changed[i_w]] = weight;
+				law.total += weight * this.species[changed[i_w]].value * this.volume(changed[i_w]);
+				var term = (Math.abs(weight) == 1 ? '' : Math.abs(weight) + '*') + changed[i_w];
+				var compartment = this.species[changed[i_w]].compartment;
+				if (compartment) {
+					term = term + '*' + this.compartments[compartment].volume;
+				}
+				if (law.expression == '') {
+					law.expression = (weight < 0 ? '-' : '') + term;
+				} else {
+					law.expression += (weight < 0 ? ' - ' : ' + ') + term;
+				}
+			}
+			laws.push(law);
+		}
+		return laws;
+	},
+
+	/**
+	Construct a scope object for evaluating expressions, by mapping the time, the current 
+	values of the state variables, and the Parameter values to their identifiers
+	@method getScope
+	@private
+	@param {Number} t The time
+	@param {Array} y An array of state variables, ordered like System.species
+	@return {Object} The scope
+	*/
+	getScope: function(t, y) {
+		var species_ids = Object.keys(this.species);
+		var scope = { t: t };
+		for (var i_y = 0; i_y < y.length; i_y++) {
+			scope[species_ids[i_y]] = y[i_y];
+		}
+		for (var p in this.parameters) {
+			scope[p] = this.parameters[p].value;
+		}
+		return scope;
+	},
+
 	/**
 	Builds an expression tree for each Species' rate law.  Compiles the syntax tree using mathjs.
 	The compiled code is saved in the System.model property and later evaluated by the simulate method.
+	The model is checked with validate first and any problems are logged to the console.
 	@method compile
 	*/
 	compile: function() {
+		// Report modeling mistakes before they turn into flat lines
+		var report = this.validate();
+		report.errors.concat(report.warnings).forEach(function(problem) {
+			console.log(problem.message);
+		});
 		
 		// Initialize rate law expressions
 		for (var sp in this.species) {
@@ -847,36 +2658,32 @@ var System = {
 		// build them into a rate law 
 		for(var i in this._interactions) {
 			var interaction = this._interactions[i];
-			participant_ids = interaction.variables();
-			for(i_p in participant_ids) {
+			// Reactions derive their terms from the stoichiometry
+			var terms = interaction.terms();
+			for(var participant_id in terms) {
 				
 				// Get participant Species that participates in this Interaction
-				var participant_id = participant_ids[i_p]; 
 				var participant = this.species[participant_id];
 				
-				// Check if the rule is defined first (some rules in an Interaction may be uninitialized)...
-				if (interaction.rules[participant_id].expression) {
-					// Initialize the rate law if this is the first time 
-					// this participant Species has been found in an Interaction
-					if (participant.rate_law.expression == null) {
-						participant.rate_law.expression =
-							interaction.rules[participant_id].expression.clone();
-					// ...else add the new term to the rate law
-					} else {
-						participant.rate_law.expression = 
-							new math.expression.node.OperatorNode('+','add', [participant.rate_law.expression, 
-							interaction.rules[participant_id].expression.clone()]);				
-					}
+				// Initialize the rate law if this is the first time 
+				// this participant Species has been found in an Interaction
+				if (participant.rate_law.expression == null) {
+					participant.rate_law.expression = terms[participant_id];
+				// ...else add the new term to the rate law
+				} else {
+					participant.rate_law.expression = 
+						new math.expression.node.OperatorNode('+','add', [participant.rate_law.expression, 
+						terms[participant_id]]);				
 				}
 			}
 		}
 		// Compile the rate_laws and attach to the System.model field
+		this.delays = [];
 		for (var sp in this.species) {
 			var i_sp = Object.keys(this.species).indexOf(sp); 
 			console.log(i_sp, sp);
 			if (this.species[sp].rate_law.expression != null) {
-				this.species[sp].rate_law.expression.toString();
-				this.model[i_sp] = this.species[sp].rate_law.expression.compile(math)
+				this.model[i_sp] = this.compileRateLaw(this.species[sp].rate_law.expression);
 			} else {
 				// @todo What to do if a rate law for a species has not been defined?
 				// @todo move to System constructor
@@ -884,9 +2691,420 @@ var System = {
 				this.model[i_sp] = math.compile("0");
 			}
 		}
+
+		// Each Rule of each Interaction instance is also a reaction channel for stochastic 
+		// simulation.  The channel changes its Species by one at a rate given by the absolute 
+		// value of the Rule, in the direction given by its sign.  A reaction is a single channel
+		// that changes all its Species by their stoichiometric coefficients
+		this.channels = [];
+		var species_ids = Object.keys(this.species);
+		for (var i_int = 0; i_int < this._interactions.length; i_int++) {
+			var interaction = this._interactions[i_int];
+			if (interaction.stoichiometry) {
+				var stoichiometry = [];
+				for (var s_id in interaction.stoichiometry) {
+					if (interaction.stoichiometry[s_id]) {
+						stoichiometry.push([species_ids.indexOf(s_id), interaction.stoichiometry[s_id]]);
+					}
+				}
+				this.channels.push({
+					name: interaction.name,
+					propensity: this.compileRateLaw(interaction.rate.expression),
+					stoichiometry: stoichiometry,
+					signed: false
+				});
+				continue;
+			}
+			for (var r_id in interaction.rules) {
+				if (interaction.rules[r_id].expression) {
+					this.channels.push({
+						name: interaction.name,
+						propensity: this.compileRateLaw(interaction.rules[r_id].expression),
+						stoichiometry: [[species_ids.indexOf(r_id), 1]],
+						signed: true
+					});
+				}
+			}
+		}
+	},
+
+	/**
+	Evaluate the propensities of the reaction channels built by compile.  A channel whose firing
+	would make a Species count negative has zero propensity.
+	@method evaluateChannels
+	@private
+	@param {Number} t The time
+	@param {Array} state The Species counts, ordered like System.species
+	@return {Object} An object with the fields propensities (an Array of non-negative rates),
+	directions (an Array of 1 or -1 that multiplies each channel's stoichiometry) and total
+	*/
+	evaluateChannels: function(t, state) {
+		var scope = this.getScope(t, state);
+		var result = { propensities: [], directions: [], total: 0 };
+		for (var i_c = 0; i_c < this.channels.length; i_c++) {
+			var channel = this.channels[i_c];
+			var propensity = channel.propensity.eval(scope);
+			var direction = 1;
+			if (channel.signed && propensity < 0) {
+				direction = -1;
+				propensity = -propensity;
+			}
+			if (!(propensity > 0)) {
+				propensity = 0;
+			}
+			for (var i_s = 0; i_s < channel.stoichiometry.length; i_s++) {
+				var change = direction * channel.stoichiometry[i_s][1];
+				if (state[channel.stoichiometry[i_s][0]] + change < 0) {
+					propensity = 0;
+				}
+			}
+			result.propensities.push(propensity);
+			result.directions.push(direction);
+			result.total += propensity;
+		}
+		return result;
+	},
+
+	/**
+	Choose a reaction channel at random, with probability proportional to its propensity
+	@method selectChannel
+	@private
+	@param {Array} propensities The propensities of the channels
+	@param {Number} total The sum of the propensities
+	@param {Function} random A random number generator, see seededRandom
+	@return {Number} The index of the chosen channel
+	*/
+	selectChannel: function(propensities, total, random) {
+		var target = random() * total;
+		var i_c = 0;
+		while (i_c < propensities.length - 1 && (target >= propensities[i_c] || propensities[i_c] == 0)) {
+			target -= propensities[i_c];
+			i_c++;
+		}
+		return i_c;
+	},
+
+	/**
+	Update the Species counts for a reaction channel that fires one or more times
+	@method fireChannel
+	@private
+	@param {Array} state The Species counts, which are updated in place
+	@param {Number} i_c The index of the channel
+	@param {Number} direction 1 or -1, see evaluateChannels
+	@param {Number} count The number of times the channel fires
+	*/
+	fireChannel: function(state, i_c, direction, count) {
+		var stoichiometry = this.channels[i_c].stoichiometry;
+		for (var i_s = 0; i_s < stoichiometry.length; i_s++) {
+			state[stoichiometry[i_s][0]] += count * direction * stoichiometry[i_s][1];
+		}
+	},
+
+	/**
+	Simulate the System stochastically with Gillespie's direct method.  Species values are 
+	rounded to integer counts, and each Rule of each Interaction instance is a reaction channel 
+	(see compile).  Unlike simulate, small populations can go extinct.  Events, dosing schedules,
+	delays and Compartments are not supported by stochastic simulation.  The System must be compiled first.
+	@method simulateStochastic
+	@param {Number} t0 The initial time
+	@param {Number} tf The final time
+	@param {Object} [options] An object with the optional fields seed (an integer seed for 
+	reproducible runs, see seededRandom), max_steps (the maximum number of reactions simulated, 
+	100000 by default) and interval (record the state every interval time units rather than after
+	every reaction, eg for large populations that react many times)
+	@return {Simulation} The simulated trajectories
+	*/
+	simulateStochastic: function(t0, tf, options) {
+		options = options || {};
+		if (this.delays.length) {
+			throw new Error('simulateStochastic: delays are not supported');
+		}
+		for (var sp in this.species) {
+			if (this.species[sp].compartment) {
+				throw new Error('simulateStochastic: Species in Compartments are not supported');
+			}
+		}
+		var random = seededRandom(options.seed);
+		var max_steps = options.max_steps || 100000;
+		var state = [];
+		for (var sp in this.species) {
+			state.push(Math.round(this.species[sp].value));
+		}
+		var solution = { x: [t0], y: [state.slice()] };
+		var record = stochasticRecorder(solution, options.interval);
+		var t = t0;
+		for (var step = 0; step < max_steps; step++) {
+			var channels = this.evaluateChannels(t, state);
+			if (channels.total == 0) {
+				break;
+			}
+			// Time to the next reaction, then choose which reaction fires
+			var dt = -Math.log(1 - random()) / channels.total;
+			if (t + dt > tf) {
+				break;
+			}
+			t += dt;
+			var i_c = this.selectChannel(channels.propensities, channels.total, random);
+			this.fireChannel(state, i_c, channels.directions[i_c], 1);
+			record(t, state);
+		}
+		if (step == max_steps) {
+			console.log('simulateStochastic: stopped at t = ' + t + ' after ' + max_steps + ' reactions');
+		} else {
+			// The state doesn't change between the last reaction and tf
+			t = tf;
+			record(t, state);
+		}
+		if (options.interval) {
+			solution.x.push(t);
+			solution.y.push(state.slice());
+		}
+		var simulation = new Simulation(this, solution);
+		for (var sp in this.species) {
+			this.species[sp].value = simulation.trajectory[sp][simulation.trajectory[sp].length-1];
+		}
+		return simulation;
+	},
+
+	/**
+	Simulate the System stochastically with tau-leaping, an approximation of Gillespie's 
+	direct method that fires many reactions per step and is much faster for large populations.
+	The leap size is chosen automatically so that no propensity changes by more than a fraction
+	epsilon during a leap (Cao, Gillespie and Petzold 2006).  Channels that could exhaust a 
+	Species within a few firings are simulated exactly, and when a leap would be too short to 
+	pay off, exact steps are taken instead.  Uses the same reaction channels as simulateStochastic.
+	@method simulateTauLeaping
+	@param {Number} t0 The initial time
+	@param {Number} tf The final time
+	@param {Object} [options] An object with the optional fields seed (see seededRandom), 
+	epsilon (the error control parameter, 0.03 by default), critical (channels that can fire 
+	fewer times than this before exhausting a Species are simulated exactly, 10 by default),
+	max_steps (the maximum number of leaps and exact steps, 100000 by default) and interval (see
+	simulateStochastic)
+	@return {Simulation} The simulated trajectories
+	*/
+	simulateTauLeaping: function(t0, tf, options) {
+		options = options || {};
+		if (this.delays.length) {
+			throw new Error('simulateTauLeaping: delays are not supported');
+		}
+		for (var sp in this.species) {
+			if (this.species[sp].compartment) {
+				throw new Error('simulateTauLeaping: Species in Compartments are not supported');
+			}
+		}
+		var random = seededRandom(options.seed);
+		var epsilon = options.epsilon || 0.03;
+		var n_critical = options.critical || 10;
+		var max_steps = options.max_steps || 100000;
+		var n_species = Object.keys(this.species).length;
+		var state = [];
+		for (var sp in this.species) {
+			state.push(Math.round(this.species[sp].value));
+		}
+		var solution = { x: [t0], y: [state.slice()] };
+		var record = stochasticRecorder(solution, options.interval);
+		var t = t0;
+		var exact_steps = 0;
+		for (var step = 0; step < max_steps && t < tf; step++) {
+			var channels = this.evaluateChannels(t, state);
+			if (channels.total == 0) {
+				break;
+			}
+
+			// Exact steps, taken when leaping doesn't pay off
+			if (exact_steps > 0) {
+				exact_steps--;
+				var dt = -Math.log(1 - random()) / channels.total;
+				if (t + dt > tf) {
+					break;
+				}
+				t += dt;
+				var i_c = this.selectChannel(channels.propensities, channels.total, random);
+				this.fireChannel(state, i_c, channels.directions[i_c], 1);
+				record(t, state);
+				continue;
+			}
+
+			// A channel is critical if it can fire fewer than n_critical times before one of 
+			// the Species it consumes runs out
+			var critical = [];
+			var mu = [];
+			var sigma2 = [];
+			for (var i_sp = 0; i_sp < n_species; i_sp++) {
+				mu.push(0);
+				sigma2.push(0);
+			}
+			var consumed = [];
+			for (var i_c = 0; i_c < this.channels.length; i_c++) {
+				var stoichiometry = this.channels[i_c].stoichiometry;
+				var firings = Infinity;
+				for (var i_s = 0; i_s < stoichiometry.length; i_s++) {
+					var change = channels.directions[i_c] * stoichiometry[i_s][1];
+					if (change < 0) {
+						firings = Math.min(firings, Math.floor(state[stoichiometry[i_s][0]] / -change));
+					}
+				}
+				critical.push(channels.propensities[i_c] > 0 && firings < n_critical);
+				if (critical[i_c]) {
+					continue;
+				}
+				for (var i_s = 0; i_s < stoichiometry.length; i_s++) {
+					var change = channels.directions[i_c] * stoichiometry[i_s][1];
+					var i_sp = stoichiometry[i_s][0];
+					mu[i_sp] += change * channels.propensities[i_c];
+					sigma2[i_sp] += change * change * channels.propensities[i_c];
+					if (change < 0) {
+						consumed[i_sp] = true;
+					}
+				}
+			}
+
+			// The largest leap for which the expected change and the spread of each consumed 
+			// Species stay within a fraction epsilon of its count
+			var tau_noncritical = Infinity;
+			for (var i_sp = 0; i_sp < n_species; i_sp++) {
+				if (!consumed[i_sp]) {
+					continue;
+				}
+				var bound = Math.max(epsilon * state[i_sp], 1);
+				if (mu[i_sp] != 0) {
+					tau_noncritical = Math.min(tau_noncritical, bound / Math.abs(mu[i_sp]));
+				}
+				if (sigma2[i_sp] != 0) {
+					tau_noncritical = Math.min(tau_noncritical, bound * bound / sigma2[i_sp]);
+				}
+			}
+			if (tau_noncritical < 10 / channels.total) {
+				exact_steps = 100;
+				continue;
+			}
+
+			// Leap, then retry with a shorter leap if a Species would become negative
+			var total_critical = 0;
+			for (var i_c = 0; i_c < this.channels.length; i_c++) {
+				if (critical[i_c]) {
+					total_critical += channels.propensities[i_c];
+				}
+			}
+			var tau_critical = (total_critical > 0) ? -Math.log(1 - random()) / total_critical : Infinity;
+			while (true) {
+				var tau = Math.min(tau_noncritical, tau_critical, tf - t);
+				var new_state = state.slice();
+				for (var i_c = 0; i_c < this.channels.length; i_c++) {
+					if (!critical[i_c] && channels.propensities[i_c] > 0) {
+						var count = poissonRandom(channels.propensities[i_c] * tau, random);
+						this.fireChannel(new_state, i_c, channels.directions[i_c], count);
+					}
+				}
+				// One critical reaction fires at the end of the leap
+				if (tau == tau_critical) {
+					var propensities = channels.propensities.map(function(a, i_c) { return critical[i_c] ? a : 0; });
+					var i_c = this.selectChannel(propensities, total_critical, random);
+					this.fireChannel(new_state, i_c, channels.directions[i_c], 1);
+				}
+				if (new_state.every(function(n) { return n >= 0; })) {
+					break;
+				}
+				tau_noncritical = tau_noncritical / 2;
+			}
+			t += tau;
+			state = new_state;
+			record(t, state);
+		}
+		if (step == max_steps) {
+			console.log('simulateTauLeaping: stopped at t = ' + t + ' after ' + max_steps + ' steps');
+		} else if (t < tf) {
+			t = tf;
+			record(t, state);
+		}
+		if (options.interval) {
+			solution.x.push(t);
+			solution.y.push(state.slice());
+		}
+		var simulation = new Simulation(this, solution);
+		for (var sp in this.species) {
+			this.species[sp].value = simulation.trajectory[sp][simulation.trajectory[sp].length-1];
+		}
+		return simulation;
 	},
 	
 	
+	/**
+	Compile a rate law expression with mathjs.  Calls to delay(S, tau), which evaluate to the 
+	value of the Species S at time t - tau, are rewritten so that the Species identifier rather 
+	than its current value is passed to the delay function, and each time delay is registered in 
+	System.delays.
+	@method compileRateLaw
+	@private
+	@param {Node} expression The root of the rate law's syntax tree
+	@return {Object} The compiled expression
+	*/
+	compileRateLaw: function(expression) {
+		var system = this;
+		var node = math.expression.node;
+		return expression.transform(function(child) {
+			if (child.type == 'FunctionNode' && child.name == 'delay') {
+				if (child.args.length != 2 || child.args[0].type != 'SymbolNode' || 
+						!(child.args[0].name in system.species)) {
+					throw new Error('compile: delay expects a Species and a time delay, eg delay(G, tau), got ' + 
+						child.toString());
+				}
+				system.delays.push(child.args[1].compile(math));
+				return new node.FunctionNode('delay', [new node.ConstantNode(child.args[0].name, 'string'), 
+					child.args[1]]);
+			}
+			return child;
+		}).compile(math);
+	},
+
+	/**
+	Look up the value of a Species at an earlier time in a solution.  The value is taken from the
+	dense output of the integrator where the solution has it, since the integrator's steps may be
+	too long to interpolate between, and is otherwise linearly interpolated between time points.
+	Before the first time point the Species is assumed to have had its first value.
+	@method lagged
+	@private
+	@param {Object} solution A solution with time points in the field x and states in the field y,
+	and optionally the numeric.dopri solutions it is made of in the field segments
+	@param {Number} i_sp The index of the Species in the state vector
+	@param {Number} t The time
+	@return {Number} The value of the Species at time t
+	*/
+	lagged: function(solution, i_sp, t) {
+		// A later segment starts where a dose or an event changed the state
+		var segments = solution.segments || [];
+		for (var i_s = segments.length - 1; i_s >= 0; i_s--) {
+			if (segments[i_s].x[0] <= t) {
+				if (t <= segments[i_s].x[segments[i_s].x.length-1]) {
+					return segments[i_s].at(t)[i_sp];
+				}
+				break;
+			}
+		}
+		var x = solution.x;
+		var y = solution.y;
+		if (t <= x[0]) {
+			return y[0][i_sp];
+		}
+		if (t >= x[x.length-1]) {
+			return y[y.length-1][i_sp];
+		}
+		// Binary search for the last time point at or before t
+		var i_left = 0;
+		var i_right = x.length - 1;
+		while (i_right - i_left > 1) {
+			var i_mid = Math.floor(0.5 * (i_left + i_right));
+			if (x[i_mid] <= t) {
+				i_left = i_mid;
+			} else {
+				i_right = i_mid;
+			}
+		}
+		var fraction = (t - x[i_left]) / (x[i_right] - x[i_left]);
+		return y[i_left][i_sp] + fraction * (y[i_right][i_sp] - y[i_left][i_sp]);
+	},
+
 	// @TODO:  pass the System as an argument to dY so that its properties can be accessed
 	// when numeric.dopri invokes dY as a callback, changing the context for 'this' object
 	/**
@@ -900,29 +3118,21 @@ var System = {
 	@param {Number} t A single float value corresponding to a particular time in a simulation
 	@param {Number} y An array of state variables.
 	@param {Array} params An array that can be used to pass other external information into
-	the differential function
+	the differential function.  The first element is the System.  The optional second element is
+	an array of constant inputs added to the rates of change, eg infusions.  The optional third
+	element is a function(s_id, t) that returns the value of a Species at an earlier time, used to
+	evaluate delay(S, tau)
 	@return Returns the rate-of-change for all Species in the System at time t
 	*/
 	dY: function(t, y, params) {
 		// @TODO:  add validation step here.  Check for valid System object passed in params argument
-		system = params[0];
-		var species_ids = Object.keys(system.species);
-		//if (t==0){
-		//	console.log(species_ids);
-		//}
+		var system = params[0];
 		var dy = [];
 		// Construct a scope object by mapping the current values of the javascript simulation variable
 		// with the corresponding variable identifier in the System scope (ie, the species id)
-		// @TODO: More efficient to allocate array dimensions first?
-		var scope = {};
-		for (var i_y = 0; i_y < y.length; i_y++) {
-			//this.parser.eval(simulation_vars[i_y] + "=" + y[i_y])
-			scope[species_ids[i_y]] = y[i_y];
-		}
-		//console.log(scope);
-		for (p in system.parameters) {
-			//scope[p] = this.parameters[p].value;
-			scope[p] = system.parameters[p].value;
+		var scope = system.getScope(t, y);
+		if (params[2]) {
+			scope.delay = function(s_id, tau) { return params[2](s_id, t - tau); };
 		}
 		//if (t==0){
 		//	console.log('Scope:',scope);
@@ -935,6 +3145,10 @@ var System = {
 			//dy[i_y] = this.model[i_y].eval(scope);
 			dy[i_y] = system.model[i_y].eval(scope);
 		}
+		// Add external inputs, eg infusions from a DosingSchedule
+		if (params[1]) {
+			dy = numeric.add(dy, params[1]);
+		}
 		return dy;
 	},
 	